@@ -3,13 +3,29 @@
 'use strict';
 
 const Breaker = require('circuit-fuses').breaker;
-const Request = require('request');
+const Crypto = require('crypto');
+const got = require('got');
 const Hoek = require('@hapi/hoek');
+const Http = require('http');
+const Https = require('https');
+const { HttpProxyAgent, HttpsProxyAgent } = require('hpagent');
 const Joi = require('joi');
 const Path = require('path');
 const Schema = require('screwdriver-data-schema');
 const Scm = require('screwdriver-scm-base');
 const logger = require('screwdriver-logger');
+const {
+    GitlabError,
+    NotFoundError,
+    UnauthorizedError,
+    ForbiddenError,
+    RateLimitError,
+    ValidationError,
+    ServerError
+} = require('./lib/errors');
+const OperationMetrics = require('./lib/metrics');
+const ResponseCache = require('./lib/cache');
+const { generateDeployKey } = require('./lib/deployKey');
 
 const DEFAULT_AUTHOR = {
     avatar: 'https://cd.screwdriver.cd/assets/unknown_user.png',
@@ -24,29 +40,67 @@ const MATCH_COMPONENT_REPONAME = 3;
 const MATCH_COMPONENT_BRANCH = 4;
 const MATCH_COMPONENT_ROOTDIR = 5;
 
+const TAG_REF_PREFIX = 'refs/tags/';
+const DEPLOY_KEY_TITLE = 'sd@screwdriver.cd';
+const MERGE_REQUEST_REF_REGEX = /^(?:refs\/)?(?:merge[-_]requests|pull)\/(\d+)(?:\/(?:head|merge))?$/;
+// Sha sent as before/after when a push creates or deletes a branch
+const ZERO_SHA = '0000000000000000000000000000000000000000';
+// Number of commits Gitlab lists in a push payload at most
+const PUSH_COMMITS_LIMIT = 20;
+// Number of users found by an email search whose emails are looked up at most
+const EMAIL_CANDIDATES_LIMIT = 5;
+// Milliseconds to wait before retrying a rate limited call Gitlab gave no wait for, doubled on every retry
+const RETRY_BACKOFF = 1000;
+
 const STATE_MAP = {
     SUCCESS: 'success',
     PENDING: 'pending',
     FAILURE: 'failed'
 };
+// ref: https://docs.gitlab.com/ee/api/members.html#valid-access-levels
+const ACCESS_LEVEL = {
+    GUEST: 10,
+    REPORTER: 20,
+    DEVELOPER: 30,
+    MAINTAINER: 40,
+    OWNER: 50
+};
+// ref: https://docs.gitlab.com/ee/user/project/integrations/webhook_events.html#merge-request-events
+const PR_ACTION_MAP = {
+    open: 'opened',
+    reopen: 'reopened',
+    close: 'closed',
+    merge: 'closed',
+    update: 'synchronized'
+};
 const DESCRIPTION_MAP = {
     SUCCESS: 'Everything looks good!',
     FAILURE: 'Did not work as expected.',
     PENDING: 'Parked it as Pending...'
 };
 
+const ERROR_CLASS_MAP = {
+    400: ValidationError,
+    401: UnauthorizedError,
+    403: ForbiddenError,
+    404: NotFoundError,
+    409: ValidationError,
+    422: ValidationError,
+    429: RateLimitError
+};
+
 /**
  * Check the status code of the server's response.
  *
- * If there was an error encountered with the request, this will format a human-readable
- * error message.
+ * If there was an error encountered with the request, this will throw a GitlabError
+ * subclass matching the status code, with a human-readable error message.
  * @method checkResponseError
- * @param  {HTTPResponse}   response                               HTTP Response from `request` call
+ * @param  {HTTPResponse}   response                               HTTP Response from the Gitlab API call
  * @param  {Number}         response.statusCode                    HTTP status code of the HTTP request
- * @param  {String}         [response.body.error.message]          Error message from the server
- * @param  {String}         [response.body.error.detail.required]  Error resolution message
- * @return {Promise}                                               Resolves when no error encountered.
- *                                                                 Rejects when status code is non-200
+ * @param  {Object}         [response.headers]                     Response headers
+ * @param  {String}         [response.body.message]                Error message from the server
+ * @param  {String}         caller                                 Name of the method that made the call
+ * @throws {GitlabError}                                           When status code is not 2xx
  */
 function checkResponseError(response, caller) {
     if (response.statusCode >= 200 && response.statusCode < 300) {
@@ -59,11 +113,85 @@ function checkResponseError(response, caller) {
     const errorReason = Hoek.reach(response, 'body.message', {
         default: JSON.stringify(response.body)
     });
+    const ErrorClass = ERROR_CLASS_MAP[errorCode] || (errorCode >= 400 && errorCode < 500 ? GitlabError : ServerError);
+
+    throw new ErrorClass(`${errorCode} Reason "${errorReason}" Caller "${caller}"`, {
+        status: errorCode,
+        caller,
+        payload: response.body,
+        requestId: Hoek.reach(response, ['headers', 'x-request-id'])
+    });
+}
 
-    const error = new Error(`${errorCode} Reason "${errorReason}" Caller "${caller}"`);
+/**
+ * Verify the secret token GitLab sends along with a webhook payload.
+ *
+ * Both values are hashed before comparing so the constant-time comparison does not leak the secret length.
+ * @method isValidWebhookToken
+ * @param  {Object}  headers          The request headers associated with the webhook payload
+ * @param  {String}  [webhookSecret]  Secret token configured on the webhook
+ * @return {Boolean}                  True when no secret is configured or the X-Gitlab-Token header matches it
+ */
+function isValidWebhookToken(headers, webhookSecret) {
+    if (!webhookSecret) {
+        return true;
+    }
 
-    error.status = errorCode;
-    throw error;
+    const receivedToken = Hoek.reach(headers, 'x-gitlab-token', { default: '' });
+    const digest = value =>
+        Crypto.createHash('sha256')
+            .update(String(value))
+            .digest();
+
+    return Crypto.timingSafeEqual(digest(receivedToken), digest(webhookSecret));
+}
+
+/**
+ * Split a project path into its namespace and project name.
+ *
+ * GitLab namespaces can be nested subgroups, so everything before the last segment is the owner.
+ * @method splitRepoPath
+ * @param  {String}  repoPath   Project path with namespace (e.g. group/subgroup/repo)
+ * @return {Object}             An object with the owner (e.g. group/subgroup) and reponame (e.g. repo)
+ * @throws {ValidationError}    When the path has no namespace
+ */
+function splitRepoPath(repoPath) {
+    const separator = repoPath.lastIndexOf('/');
+
+    if (separator === -1) {
+        throw new ValidationError(`Project path ${repoPath} has no namespace`, {
+            status: 400,
+            caller: 'splitRepoPath'
+        });
+    }
+
+    return {
+        owner: repoPath.slice(0, separator),
+        reponame: repoPath.slice(separator + 1)
+    };
+}
+
+/**
+ * Escape the namespace of a project path so that splitting it on '/' gives exactly the owner and project name
+ * @method escapeRepoNamespace
+ * @param  {String}  repoPath   Project path with namespace (e.g. group/subgroup/repo)
+ * @return {String}             Path with an url-encoded namespace (e.g. group%2Fsubgroup/repo)
+ */
+function escapeRepoNamespace(repoPath) {
+    const { owner, reponame } = splitRepoPath(repoPath);
+
+    return `${encodeURIComponent(owner)}/${reponame}`;
+}
+
+/**
+ * Get the url-encoded project path used as a project id by the GitLab API
+ * @method encodeRepoPath
+ * @param  {String}  owner      Full namespace of the project
+ * @param  {String}  reponame   Project name
+ * @return {String}             Encoded path (e.g. group%2Fsubgroup%2Frepo)
+ */
+function encodeRepoPath(owner, reponame) {
+    return encodeURIComponent(`${owner}/${reponame}`);
 }
 
 /**
@@ -78,16 +206,40 @@ function getRepoInfoByCheckoutUrl(checkoutUrl, rootDir) {
     const matched = regex.exec(checkoutUrl);
 
     const sourceDir = matched[MATCH_COMPONENT_ROOTDIR] ? matched[MATCH_COMPONENT_ROOTDIR].slice(1) : null;
+    // The regex only splits off the first namespace segment; subgroups end up in the repo name
+    const { owner, reponame } = splitRepoPath(`${matched[MATCH_COMPONENT_OWNER]}/${matched[MATCH_COMPONENT_REPONAME]}`);
 
     return {
         hostname: matched[MATCH_COMPONENT_HOSTNAME],
-        reponame: matched[MATCH_COMPONENT_REPONAME],
+        reponame,
         branch: matched[MATCH_COMPONENT_BRANCH] ? matched[MATCH_COMPONENT_BRANCH].slice(1) : null,
-        owner: matched[MATCH_COMPONENT_OWNER],
+        owner,
         rootDir: rootDir || sourceDir
     };
 }
 
+/**
+ * Normalize the relative URL root of a Gitlab instance to either '' or a path without trailing slash
+ * @method normalizePathPrefix
+ * @param  {String}  [pathPrefix]    Path prefix (e.g. gitlab, /gitlab/)
+ * @return {String}                  Normalized path prefix (e.g. /gitlab)
+ */
+function normalizePathPrefix(pathPrefix = '') {
+    const path = pathPrefix.replace(/^\/+|\/+$/g, '');
+
+    return path ? `/${path}` : '';
+}
+
+/**
+ * Get the scm context of a Gitlab host
+ * @method getScmContext
+ * @param  {String}  gitlabHost  Host (and port) of the Gitlab instance
+ * @return {String}              Scm context (e.g. gitlab:gitlab.com)
+ */
+function getScmContext(gitlabHost) {
+    return `gitlab:${gitlabHost}`;
+}
+
 /**
  * Get hostname, repoId, branch, and rootDir from scmUri
  * @method getScmUriParts
@@ -102,6 +254,330 @@ function getScmUriParts(scmUri) {
     return scm;
 }
 
+/**
+ * Get the files added, modified or removed by any of the commits of a push payload
+ * @method getPushedFiles
+ * @param  {Array}   [commits]   Commits of the push payload
+ * @return {Array}               File names without duplicates
+ */
+function getPushedFiles(commits = []) {
+    const files = new Set();
+
+    commits.forEach(commit => {
+        ['added', 'modified', 'removed'].forEach(key => {
+            (commit[key] || []).forEach(file => files.add(file));
+        });
+    });
+
+    return [...files];
+}
+
+/**
+ * Get the paths touched by Gitlab diffs. Renamed and deleted files count under their old path as well
+ * @method getDiffPaths
+ * @param  {Array}   diffs   Diffs from the merge request diffs or compare API
+ * @return {Array}           File names without duplicates
+ */
+function getDiffPaths(diffs) {
+    const files = new Set();
+
+    diffs.forEach(diff => {
+        files.add(diff.old_path);
+        files.add(diff.new_path);
+    });
+
+    return [...files];
+}
+
+/**
+ * Get the author or committer of a commit from the Gitlab user with its email
+ * @method decorateCommitUser
+ * @param  {Object}  [user]  Gitlab user, the default author is used when unset
+ * @param  {String}  [name]  Name recorded in the commit
+ * @return {Object}          Decorated user with url, name, username and avatar
+ */
+function decorateCommitUser(user, name) {
+    const decorated = user
+        ? { url: user.web_url, name: user.name, username: user.username, avatar: user.avatar_url }
+        : { ...DEFAULT_AUTHOR };
+
+    if (name) {
+        decorated.name = name;
+    }
+
+    return decorated;
+}
+
+/**
+ * Get the GitLab refs of a merge request from a PR reference.
+ *
+ * Also understands the references produced by older versions of this plugin (merge_requests/1, pull/1/merge)
+ * @method getMergeRequestRefs
+ * @param  {String}  prRef   PR reference (e.g. refs/merge-requests/1/head)
+ * @return {Object}          An object with the merge request number and the head and merge refs;
+ *                           number and merge are null if prRef is not a merge request
+ */
+function getMergeRequestRefs(prRef) {
+    const matched = MERGE_REQUEST_REF_REGEX.exec(prRef);
+
+    if (!matched) {
+        return { number: null, head: prRef, merge: null };
+    }
+
+    return {
+        number: matched[1],
+        head: `refs/merge-requests/${matched[1]}/head`,
+        merge: `refs/merge-requests/${matched[1]}/merge`
+    };
+}
+
+/**
+ * Get the commands fetching and checking out a merge request on top of the cloned base branch.
+ *
+ * By default the MR head is merged into the base branch locally; setting GITLAB_MERGE_REQUEST_REF=merge
+ * checks out the merged results ref GitLab computes on the server instead.
+ * GitLab mirrors the source branch of merge requests from forks in the target project's MR head ref,
+ * so every merge request is fetched from origin. It is fetched into a remote ref named after the
+ * merge request, since the source branch of a fork can have the same name as the base branch
+ * @method getPrCheckoutCommands
+ * @param  {Object}  config
+ * @param  {String}  config.branch          Base branch of the merge request
+ * @param  {String}  config.prRef           PR reference
+ * @param  {String}  [config.prBranchName]  Source branch of the merge request
+ * @param  {String}  config.credentialOption  Git option authenticating the fetches, see getCredentialOption
+ * @return {Array}                          List of commands
+ */
+function getPrCheckoutCommands({ branch, prRef, prBranchName, credentialOption }) {
+    const LOCAL_BRANCH_NAME = 'pr';
+    const { number, head: headRef, merge: mergeRef } = getMergeRequestRefs(prRef);
+    const remoteBranch = `origin/${number ? `merge-requests/${number}` : LOCAL_BRANCH_NAME}`;
+    const mergeLocally =
+        `echo 'Checking out the PR branch ${prBranchName || remoteBranch}' && ` +
+        `$SD_GIT_WRAPPER "git checkout -b ${LOCAL_BRANCH_NAME} ${remoteBranch}" && ` +
+        `$SD_GIT_WRAPPER "git merge ${branch}"`;
+    const command = [];
+
+    command.push(`echo 'Fetching PR ${headRef}'`);
+    command.push(`$SD_GIT_WRAPPER "git ${credentialOption} fetch origin +${headRef}:refs/remotes/${remoteBranch}"`);
+
+    command.push(`export PR_BASE_BRANCH_NAME='${branch}'`);
+    command.push(`export PR_BRANCH_NAME='${remoteBranch}'`);
+
+    if (mergeRef) {
+        command.push(
+            'if [ "$GITLAB_MERGE_REQUEST_REF" = merge ]; ' +
+                `then echo 'Checking out the merged results ${mergeRef}' && ` +
+                `$SD_GIT_WRAPPER "git ${credentialOption} fetch origin +${mergeRef}:${LOCAL_BRANCH_NAME}" && ` +
+                `$SD_GIT_WRAPPER "git checkout ${LOCAL_BRANCH_NAME}"; ` +
+                `else ${mergeLocally}; fi`
+        );
+    } else {
+        command.push(mergeLocally);
+    }
+
+    command.push(`export GIT_BRANCH=origin/${headRef}`);
+
+    return command;
+}
+
+/**
+ * Get the result of a write that read-only mode skipped.
+ * It is a string since addPrComment only accepts a comment or a string as result
+ * @method skipReadOnly
+ * @param  {String}  caller  Method that skipped the write
+ * @return {String}          Result saying why nothing was written
+ */
+function skipReadOnly(caller) {
+    logger.info(`${caller} skipped: read-only`);
+
+    return 'skipped: read-only';
+}
+
+/**
+ * Get the title of the deploy key of a pipeline. Pipelines of the same repo check out
+ * different branches or root dirs, so each of them gets a key of its own
+ * @method getDeployKeyTitle
+ * @param  {String}  [branch]    Branch of the pipeline
+ * @param  {String}  [rootDir]   Root dir of the pipeline
+ * @return {String}              Title (e.g. sd@screwdriver.cd#main:src/app)
+ */
+function getDeployKeyTitle(branch, rootDir) {
+    return `${DEPLOY_KEY_TITLE}${branch ? `#${branch}` : ''}${rootDir ? `:${rootDir}` : ''}`;
+}
+
+/**
+ * Get the git option authenticating https calls to a host without putting credentials in the remote URLs.
+ *
+ * The credential helper answers with SCM_USERNAME and SCM_ACCESS_TOKEN from the build environment.
+ * "git -c" only configures the command it is given and the git processes that command starts
+ * (e.g. submodule clones), so nothing is written to the git config of the build user
+ * @method getCredentialOption
+ * @param  {String}  host    Host the credentials are used for
+ * @return {String}          Option for a git command run through $SD_GIT_WRAPPER
+ */
+function getCredentialOption(host) {
+    const helper =
+        '!f() { test \\"\\$1\\" = get && test -n \\"\\$SCM_ACCESS_TOKEN\\" && ' +
+        'echo username=\\$SCM_USERNAME && echo password=\\$SCM_ACCESS_TOKEN; }; f';
+
+    return `-c credential.https://${host}.helper='${helper}'`;
+}
+
+/**
+ * Map a GitLab access level to Screwdriver repository permissions
+ * @method getPermissionsByAccessLevel
+ * @param  {Number}  accessLevel   GitLab access level
+ * @return {Object}                An object with the admin, push and pull flags
+ */
+function getPermissionsByAccessLevel(accessLevel) {
+    const result = {
+        admin: false,
+        push: false,
+        pull: false
+    };
+
+    // ref: https://docs.gitlab.com/ee/api/members.html
+    // ref: https://docs.gitlab.com/ee/user/permissions.html
+    switch (accessLevel) {
+        case ACCESS_LEVEL.OWNER:
+        // falls through
+        case ACCESS_LEVEL.MAINTAINER:
+            result.admin = true;
+        // falls through
+        case ACCESS_LEVEL.DEVELOPER:
+            result.push = true;
+        // falls through
+        case ACCESS_LEVEL.REPORTER:
+            result.pull = true;
+        // falls through
+        case ACCESS_LEVEL.GUEST:
+        // falls through
+        default:
+            break;
+    }
+
+    return result;
+}
+
+/**
+ * Format a GitLab merge request the way Screwdriver describes pull requests
+ * @method formatPrInfo
+ * @param  {Object}  mergeRequest   Merge request returned by the GitLab API
+ * @return {Object}                 Pull request info
+ */
+function formatPrInfo(mergeRequest) {
+    const prSource = mergeRequest.source_project_id === mergeRequest.target_project_id ? 'branch' : 'fork';
+
+    return {
+        name: `PR-${mergeRequest.iid}`,
+        ref: `refs/merge-requests/${mergeRequest.iid}/head`,
+        sha: mergeRequest.sha,
+        prBranchName: mergeRequest.source_branch,
+        url: mergeRequest.web_url,
+        username: mergeRequest.author.username,
+        title: mergeRequest.title,
+        createTime: mergeRequest.created_at,
+        userProfile: mergeRequest.author.web_url,
+        baseBranch: mergeRequest.target_branch,
+        mergeable: Hoek.reach(mergeRequest, 'user.can_merge', { default: false }),
+        prSource
+    };
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @method delay
+ * @param  {Number}  ms  Milliseconds to wait
+ * @return {Promise}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Get how long to wait before retrying a rate limited (429) Gitlab API call.
+ * Retry-After is in seconds, RateLimit-Reset is a unix timestamp in seconds.
+ * @method getRetryAfter
+ * @param  {Object}  [headers]   Response headers
+ * @param  {Number}  now         Current time in milliseconds
+ * @return {Number|null}         Milliseconds to wait, null when the headers do not say
+ */
+function getRetryAfter(headers = {}, now) {
+    const retryAfter = parseInt(headers['retry-after'], 10);
+
+    if (!Number.isNaN(retryAfter)) {
+        return Math.max(retryAfter * 1000, 0);
+    }
+
+    const reset = parseInt(headers['ratelimit-reset'], 10);
+
+    return Number.isNaN(reset) ? null : Math.max(reset * 1000 - now, 0);
+}
+
+/**
+ * Get the next page to request from the pagination headers of a Gitlab API response.
+ * Offset pagination sets X-Next-Page, keyset pagination only sets a Link header.
+ * @method getNextPage
+ * @param  {Object}      [headers]   Response headers
+ * @return {Object|null}             `{ page }` or `{ url }` of the next page, null on the last page
+ */
+function getNextPage(headers = {}) {
+    const nextPage = headers['x-next-page'];
+
+    if (nextPage) {
+        return { page: parseInt(nextPage, 10) };
+    }
+
+    const nextLink = (headers.link || '').split(',').find(link => /rel="next"/.test(link));
+    const match = nextLink && nextLink.match(/<([^>]+)>/);
+
+    return match ? { url: match[1] } : null;
+}
+
+/**
+ * Create the default client for Gitlab API calls, backed by got with keep-alive agents.
+ * A client takes `{ method, url, token, query, body, headers }` and resolves to
+ * `{ statusCode, headers, body }` for every HTTP status; it only rejects on network errors.
+ * @method createHttpClient
+ * @param  {Object}  config
+ * @param  {String}  [config.proxy]  Proxy url to send all Gitlab API calls through
+ * @return {Object}                  Client with a request(options) method
+ */
+function createHttpClient({ proxy }) {
+    const agentOptions = { keepAlive: true };
+    const agent = proxy
+        ? {
+              http: new HttpProxyAgent({ ...agentOptions, proxy }),
+              https: new HttpsProxyAgent({ ...agentOptions, proxy })
+          }
+        : {
+              http: new Http.Agent(agentOptions),
+              https: new Https.Agent(agentOptions)
+          };
+
+    return {
+        async request({ method, url, token, query, body, headers = {} }) {
+            const response = await got(url, {
+                method,
+                agent,
+                headers: token ? { ...headers, authorization: `Bearer ${token}` } : headers,
+                searchParams: query,
+                json: body,
+                responseType: 'json',
+                throwHttpErrors: false,
+                // Retries are left to the circuit breaker and the rate limit handling
+                retry: 0
+            });
+
+            return {
+                statusCode: response.statusCode,
+                headers: response.headers,
+                body: response.body
+            };
+        }
+    };
+}
+
 class GitlabScm extends Scm {
     /**
      * Constructor
@@ -109,19 +585,42 @@ class GitlabScm extends Scm {
      * @param  {Object}  options                         Configuration options
      * @param  {String}  [options.gitlabHost=null]       If using Gitlab, the host/port of the deployed instance
      * @param  {String}  [options.gitlabProtocol=https]  If using Gitlab, the protocol to use
+     * @param  {String}  [options.gitlabPathPrefix='']    Relative URL root Gitlab is served under (e.g. /gitlab)
      * @param  {String}  [options.username=sd-buildbot]           Gitlab username for checkout
      * @param  {String}  [options.email=dev-null@screwdriver.cd]  Gitlab user email for checkout
      * @param  {String}  [options.commentUserToken]      Token with public repo permission
+     * @param  {String}  [options.webhookSecret]         Secret token set on webhooks and verified on incoming payloads
      * @param  {Object}  [options.readOnly={}]           Read-only SCM instance config with: enabled, username, accessToken, cloneType
+     * @param  {Boolean} [options.autoDeployKeyGeneration=false]  Add a deploy key to repos when pipelines are created
+     * @param  {Boolean} [options.deployKeyCanPush=false]         Give generated deploy keys write access
+     * @param  {Number}  [options.pageSize=100]          Number of items requested per page from Gitlab list endpoints
+     * @param  {Number}  [options.maxPages=20]           Maximum number of pages read from a single Gitlab list endpoint
+     * @param  {Object}  [options.rateLimit={}]          Rate limit handling with: retries, minRemaining, maxWait (ms)
+     * @param  {String}  [options.proxy]                 Proxy url to send Gitlab API calls through
+     * @param  {Object}  [options.httpClient]            Client for Gitlab API calls, defaults to one backed by got
+     * @param  {Object}  [options.cache={}]              Response cache config with: ttl, permissionsTtl (ms), maxEntries
      * @param  {Boolean} [options.https=false]           Is the Screwdriver API running over HTTPS
      * @param  {String}  options.oauthClientId           OAuth Client ID provided by Gitlab application
      * @param  {String}  options.oauthClientSecret       OAuth Client Secret provided by Gitlab application
      * @param  {Object}  [options.fusebox={}]            Circuit Breaker configuration
+     * @param  {Array}   [options.hosts]                 More Gitlab instances, each with: gitlabHost, gitlabProtocol,
+     *                                                   gitlabPathPrefix, oauthClientId, oauthClientSecret,
+     *                                                   commentUserToken, readOnly, fusebox
      * @return {GitlabScm}
      */
     constructor(config = {}) {
         super();
 
+        const readOnlySchema = Joi.object().keys({
+            enabled: Joi.boolean().optional(),
+            username: Joi.string().optional(),
+            accessToken: Joi.string().optional(),
+            cloneType: Joi.string()
+                .valid('https', 'ssh')
+                .optional()
+                .default('https')
+        });
+
         // Validate configuration
         this.config = Joi.attempt(
             config,
@@ -133,6 +632,10 @@ class GitlabScm extends Scm {
                     gitlabHost: Joi.string()
                         .optional()
                         .default('gitlab.com'),
+                    gitlabPathPrefix: Joi.string()
+                        .allow('')
+                        .optional()
+                        .default(''),
                     username: Joi.string()
                         .optional()
                         .default('sd-buildbot'),
@@ -142,38 +645,391 @@ class GitlabScm extends Scm {
                     commentUserToken: Joi.string()
                         .optional()
                         .description('Token for PR comments'),
-                    readOnly: Joi.object()
+                    webhookSecret: Joi.string()
+                        .optional()
+                        .description('Secret token for verifying webhook payloads'),
+                    readOnly: readOnlySchema.optional().default({}),
+                    pageSize: Joi.number()
+                        .integer()
+                        .min(1)
+                        .max(100)
+                        .optional()
+                        .default(100),
+                    maxPages: Joi.number()
+                        .integer()
+                        .min(1)
+                        .optional()
+                        .default(20),
+                    rateLimit: Joi.object()
+                        .keys({
+                            retries: Joi.number()
+                                .integer()
+                                .min(0)
+                                .default(3),
+                            minRemaining: Joi.number()
+                                .integer()
+                                .min(0)
+                                .default(10),
+                            maxWait: Joi.number()
+                                .integer()
+                                .min(0)
+                                .default(60000)
+                        })
+                        .optional()
+                        .default(),
+                    cache: Joi.object()
                         .keys({
-                            enabled: Joi.boolean().optional(),
-                            username: Joi.string().optional(),
-                            accessToken: Joi.string().optional(),
-                            cloneType: Joi.string()
-                                .valid('https', 'ssh')
-                                .optional()
-                                .default('https')
+                            ttl: Joi.number()
+                                .integer()
+                                .min(0)
+                                .default(300000),
+                            permissionsTtl: Joi.number()
+                                .integer()
+                                .min(0)
+                                .default(10000),
+                            maxEntries: Joi.number()
+                                .integer()
+                                .min(1)
+                                .default(1000)
                         })
                         .optional()
-                        .default({}),
+                        .default(),
+                    proxy: Joi.string()
+                        .uri()
+                        .optional(),
+                    httpClient: Joi.object()
+                        .keys({
+                            request: Joi.func().required()
+                        })
+                        .unknown(true)
+                        .optional(),
+                    autoDeployKeyGeneration: Joi.boolean()
+                        .optional()
+                        .default(false),
+                    deployKeyCanPush: Joi.boolean()
+                        .optional()
+                        .default(false),
                     https: Joi.boolean()
                         .optional()
                         .default(false),
                     oauthClientId: Joi.string().required(),
                     oauthClientSecret: Joi.string().required(),
-                    fusebox: Joi.object().default({})
+                    fusebox: Joi.object().default({}),
+                    hosts: Joi.array()
+                        .items(
+                            Joi.object().keys({
+                                gitlabHost: Joi.string().required(),
+                                gitlabProtocol: Joi.string()
+                                    .optional()
+                                    .default('https'),
+                                gitlabPathPrefix: Joi.string()
+                                    .allow('')
+                                    .optional()
+                                    .default(''),
+                                oauthClientId: Joi.string().required(),
+                                oauthClientSecret: Joi.string().required(),
+                                commentUserToken: Joi.string().optional(),
+                                readOnly: readOnlySchema.optional(),
+                                fusebox: Joi.object().optional()
+                            })
+                        )
+                        .optional()
                 })
                 .unknown(true),
             'Invalid config for Gitlab'
         );
 
-        const gitlabConfig = {};
+        this.client = this.config.httpClient || createHttpClient(this.config);
+        this.hosts = new Map();
+
+        // The top level Gitlab instance is the default one
+        [this.config, ...(this.config.hosts || [])].forEach(hostConfig => {
+            const host = this._createHost(hostConfig);
+
+            if (this.hosts.has(host.scmContext)) {
+                throw new Error(`Gitlab host ${hostConfig.gitlabHost} is configured more than once`);
+            }
+
+            this.hosts.set(host.scmContext, host);
+        });
+        this.defaultHost = this.hosts.get(getScmContext(this.config.gitlabHost));
+        this.cache = new ResponseCache(this.config.cache);
+    }
+
+    /**
+     * Create the state of a Gitlab instance: its URLs, credentials, circuit breaker, rate limit and metrics
+     * @method _createHost
+     * @param  {Object}  hostConfig                     Host configuration
+     * @param  {String}  hostConfig.gitlabHost          Host/port of the Gitlab instance
+     * @param  {String}  hostConfig.gitlabProtocol      Protocol to use
+     * @param  {String}  hostConfig.gitlabPathPrefix    Relative URL root the Gitlab instance is served under
+     * @param  {String}  hostConfig.oauthClientId       OAuth Client ID provided by the Gitlab application
+     * @param  {String}  hostConfig.oauthClientSecret   OAuth Client Secret provided by the Gitlab application
+     * @param  {String}  [hostConfig.commentUserToken]  Token for PR comments
+     * @param  {Object}  [hostConfig.readOnly]          Read-only config, defaults to config.readOnly
+     * @param  {Object}  [hostConfig.fusebox]           Circuit Breaker configuration, defaults to config.fusebox
+     * @return {Object}
+     */
+    _createHost({
+        gitlabHost,
+        gitlabProtocol,
+        gitlabPathPrefix,
+        oauthClientId,
+        oauthClientSecret,
+        commentUserToken,
+        readOnly,
+        fusebox
+    }) {
+        const pathPrefix = normalizePathPrefix(gitlabPathPrefix);
+        const webUrl = `${gitlabProtocol}://${gitlabHost}${pathPrefix}`;
+
+        // The path prefix is only part of the URLs, so it does not change the scm context
+        return {
+            scmContext: getScmContext(gitlabHost),
+            gitlabHost,
+            gitlabProtocol,
+            pathPrefix,
+            oauthClientId,
+            oauthClientSecret,
+            commentUserToken,
+            readOnly: readOnly || this.config.readOnly,
+            webUrl,
+            apiUrl: `${webUrl}/api/v4`,
+            breaker: new Breaker(
+                (options, callback) =>
+                    this.client.request(options).then(response => callback(null, response), callback),
+                fusebox || this.config.fusebox
+            ),
+            rateLimit: {
+                limit: null,
+                remaining: null,
+                resetAt: null,
+                throttled: 0,
+                limited: 0,
+                waitTime: 0
+            },
+            metrics: new OperationMetrics()
+        };
+    }
+
+    /**
+     * Get the Gitlab instance a call is for, by scm context or else by the hostname of the repo.
+     * Calls that name neither go to the default instance.
+     * @method _getHost
+     * @param  {Object}  [config]
+     * @param  {String}  [config.scmContext]    The scm context name
+     * @param  {String}  [config.scmUri]        SCM URI of the repo
+     * @param  {String}  [config.hostname]      Hostname of the repo
+     * @return {Object}                         Host state, see _createHost
+     */
+    _getHost({ scmContext, scmUri, hostname } = {}) {
+        if (scmContext) {
+            const host = this.hosts.get(scmContext);
+
+            if (!host) {
+                throw new Error(`No Gitlab host is configured for ${scmContext}`);
+            }
+
+            return host;
+        }
+
+        const repoHostname = scmUri ? getScmUriParts(scmUri).hostname : hostname;
+
+        return this.hosts.get(getScmContext(repoHostname)) || this.defaultHost;
+    }
+
+    /**
+     * Get repo information from a checkout url, along with the Gitlab instance it belongs to.
+     * The path prefix of the instance is dropped from https checkout urls.
+     * @method _parseCheckoutUrl
+     * @param  {String}  checkoutUrl     The url to check out repo
+     * @param  {String}  [rootDir]       Root dir
+     * @param  {String}  [scmContext]    The scm context name
+     * @return {Object}                  Repo info, see getRepoInfoByCheckoutUrl, and the host state
+     */
+    _parseCheckoutUrl(checkoutUrl, rootDir, scmContext) {
+        const repoInfo = getRepoInfoByCheckoutUrl(checkoutUrl, rootDir);
+        const host = this._getHost({ scmContext, hostname: repoInfo.hostname });
+        const prefix = `${host.pathPrefix.slice(1)}/`;
+
+        // Only https urls carry the path prefix, ssh urls start right at the namespace
+        if (host.pathPrefix && checkoutUrl.startsWith('https://') && `${repoInfo.owner}/`.startsWith(prefix)) {
+            const { owner, reponame } = splitRepoPath(`${repoInfo.owner}/${repoInfo.reponame}`.slice(prefix.length));
+
+            return { ...repoInfo, owner, reponame, host };
+        }
+
+        return { ...repoInfo, host };
+    }
+
+    /**
+     * Get the Gitlab instance an API url belongs to
+     * @method _getHostByUrl
+     * @param  {String}  url     Gitlab API url
+     * @return {Object}          Host state, see _createHost
+     */
+    _getHostByUrl(url) {
+        return this._getHost({ hostname: new URL(url).host });
+    }
+
+    /**
+     * Run a Gitlab API GET call whose successful response is cached per token and resource.
+     * Fresh entries are returned without calling Gitlab. Expired entries are revalidated
+     * with If-None-Match when Gitlab sent an ETag, and reused on a 304 response.
+     * @async _cachedRequest
+     * @param  {Object}  options             Request options
+     * @param  {String}  caller              Name of the operation making the call
+     * @param  {Object}  cacheOptions
+     * @param  {String}  cacheOptions.resource  Resource name, e.g. "project:123"
+     * @param  {Number}  cacheOptions.ttl       Time to live in milliseconds, 0 disables caching
+     * @return {Promise}                     Resolves to the response
+     */
+    async _cachedRequest(options, caller, { resource, ttl }) {
+        if (!ttl) {
+            return this._request(options, caller);
+        }
+
+        const { token } = options;
+        const cached = this.cache.get(token, resource);
+
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.response;
+        }
+
+        const requestOptions =
+            cached && cached.etag
+                ? { ...options, headers: { ...options.headers, 'if-none-match': cached.etag } }
+                : options;
+        const response = await this._request(requestOptions, caller);
+
+        if (cached && response.statusCode === 304) {
+            this.cache.set(token, resource, { ...cached, expiresAt: Date.now() + ttl });
+
+            return cached.response;
+        }
+
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+            this.cache.set(token, resource, {
+                response,
+                etag: Hoek.reach(response, ['headers', 'etag']),
+                expiresAt: Date.now() + ttl
+            });
+        }
+
+        return response;
+    }
+
+    /**
+     * Remove cached Gitlab API responses, e.g. after changing project membership.
+     * Resources are "project:<repoId>", "permissions:<repoId>" and "user:<username>".
+     * @method invalidateCache
+     * @param  {Object}  [config]
+     * @param  {String}  [config.token]      Only remove responses cached for this token
+     * @param  {String}  [config.resource]   Only remove responses of this resource
+     */
+    invalidateCache(config) {
+        this.cache.invalidate(config);
+    }
 
-        if (this.config.gitlabHost) {
-            gitlabConfig.host = this.config.gitlabHost;
-            gitlabConfig.protocol = this.config.gitlabProtocol;
-            gitlabConfig.pathPrefix = '';
+    /**
+     * Record the rate limit state reported by a Gitlab API response
+     * @method _updateRateLimit
+     * @param  {Object}  host        Host state of the Gitlab instance that responded
+     * @param  {Object}  [headers]   Response headers
+     */
+    _updateRateLimit({ rateLimit }, headers = {}) {
+        const limit = parseInt(headers['ratelimit-limit'], 10);
+        const remaining = parseInt(headers['ratelimit-remaining'], 10);
+        const reset = parseInt(headers['ratelimit-reset'], 10);
+
+        if (Number.isNaN(remaining) || Number.isNaN(reset)) {
+            return;
         }
 
-        this.breaker = new Breaker(Request, this.config.fusebox);
+        rateLimit.limit = Number.isNaN(limit) ? null : limit;
+        rateLimit.remaining = remaining;
+        rateLimit.resetAt = reset * 1000;
+    }
+
+    /**
+     * Wait for the given time, capped at the configured maximum
+     * @async _rateLimitWait
+     * @param  {Object}  host    Host state of the Gitlab instance waited for
+     * @param  {Number}  ms      Milliseconds to wait
+     * @return {Promise}
+     */
+    async _rateLimitWait({ rateLimit }, ms) {
+        const wait = Math.min(ms, this.config.rateLimit.maxWait);
+
+        rateLimit.waitTime += wait;
+
+        return delay(wait);
+    }
+
+    /**
+     * Run a single Gitlab API call through the circuit breaker and record its metrics
+     * @async _runCommand
+     * @param  {Object}  host        Host state of the Gitlab instance called
+     * @param  {Object}  options     Request options
+     * @param  {String}  caller      Name of the operation making the call
+     * @return {Promise}             Resolves to the response
+     */
+    async _runCommand({ breaker, metrics }, options, caller) {
+        const start = Date.now();
+
+        try {
+            const response = await breaker.runCommand(options);
+
+            metrics.record(caller, { statusCode: response.statusCode, duration: Date.now() - start });
+
+            return response;
+        } catch (err) {
+            metrics.record(caller, { duration: Date.now() - start });
+            throw err;
+        }
+    }
+
+    /**
+     * Run a Gitlab API call through the circuit breaker.
+     * Calls are spread over the rest of the rate limit window once fewer than
+     * rateLimit.minRemaining requests are left, and rate limited (429) calls are
+     * retried after the time Gitlab asks for, or after a growing backoff when it does not say. Waits happen outside of the breaker
+     * so they do not count towards its timeout.
+     * Every call is recorded in the metrics of its caller.
+     * Breaker, rate limit and metrics are those of the Gitlab instance the url belongs to.
+     * @async _request
+     * @param  {Object}  options     Request options
+     * @param  {String}  caller      Name of the operation making the call
+     * @param  {Number}  [attempt]   Number of rate limited attempts made so far
+     * @return {Promise}             Resolves to the response
+     */
+    async _request(options, caller, attempt = 0) {
+        const { retries, minRemaining } = this.config.rateLimit;
+        const host = this._getHostByUrl(options.url);
+        const { rateLimit } = host;
+        const { remaining, resetAt } = rateLimit;
+        const now = Date.now();
+
+        if (remaining !== null && remaining < minRemaining && resetAt > now) {
+            rateLimit.throttled += 1;
+            await this._rateLimitWait(host, (resetAt - now) / (remaining + 1));
+        }
+
+        const response = await this._runCommand(host, options, caller);
+
+        this._updateRateLimit(host, response.headers);
+
+        if (response.statusCode !== 429 || attempt >= retries) {
+            return response;
+        }
+
+        rateLimit.limited += 1;
+        logger.warn(`Rate limited by ${host.gitlabHost}, retrying ${options.method} ${options.url}`);
+        const retryAfter = getRetryAfter(response.headers, Date.now());
+
+        await this._rateLimitWait(host, retryAfter === null ? RETRY_BACKOFF * 2 ** attempt : retryAfter);
+
+        return this._request(options, caller, attempt + 1);
     }
 
     /**
@@ -182,34 +1038,35 @@ class GitlabScm extends Scm {
      * @param  {Object}     config Config object
      * @param  {Object}     config.scmUri The SCM URI to look up relevant info
      * @param  {Object}     config.token  Service token to authenticate with Gitlab
+     * @param  {String}     [config.scmContext] The scm context name
      * @return {Promise}                  Resolves to an object containing
      *                                    repository-related information
      */
-    async lookupScmUri({ scmUri, token }) {
+    async lookupScmUri({ scmUri, token, scmContext }) {
         const scmInfo = getScmUriParts(scmUri);
+        const { apiUrl } = this._getHost({ scmContext, scmUri });
 
-        return this.breaker
-            .runCommand({
-                json: true,
+        return this._cachedRequest(
+            {
                 method: 'GET',
-                auth: {
-                    bearer: token
-                },
-                url: `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4/projects/${scmInfo.repoId}`
-            })
-            .then(response => {
-                checkResponseError(response, 'lookupScmUri');
+                token,
+                url: `${apiUrl}/projects/${scmInfo.repoId}`
+            },
+            'lookupScmUri',
+            { resource: `project:${scmInfo.repoId}`, ttl: this.config.cache.ttl }
+        ).then(response => {
+            checkResponseError(response, 'lookupScmUri');
 
-                const [owner, reponame] = response.body.path_with_namespace.split('/');
+            const { owner, reponame } = splitRepoPath(response.body.path_with_namespace);
 
-                return {
-                    branch: scmInfo.branch,
-                    hostname: scmInfo.hostname,
-                    reponame,
-                    owner,
-                    rootDir: scmInfo.rootDir
-                };
-            });
+            return {
+                branch: scmInfo.branch,
+                hostname: scmInfo.hostname,
+                reponame,
+                owner,
+                rootDir: scmInfo.rootDir
+            };
+        });
     }
 
     /**
@@ -220,8 +1077,56 @@ class GitlabScm extends Scm {
     _getWebhookEventsMapping() {
         return {
             pr: 'merge_requests_events',
-            commit: 'push_events'
+            commit: 'push_events',
+            tag: 'tag_push_events'
+        };
+    }
+
+    /**
+     * Get every item of a paginated Gitlab list endpoint.
+     * Lists longer than maxPages pages are rejected, unless the caller accepts the first pages only
+     * @async _getAllPages
+     * @param  {Object}     options                 Request options for the first page
+     * @param  {String}     caller                  Caller reported on a failed response
+     * @param  {Object}     [listOptions]
+     * @param  {Boolean}    [listOptions.truncate]  Resolve to the items of the first maxPages pages instead of rejecting
+     * @return {Promise}                            Resolves to the items of all pages
+     */
+    async _getAllPages(options, caller, { truncate = false } = {}) {
+        const { pageSize, maxPages } = this.config;
+        const getPages = async (requestOptions, pageCount) => {
+            const response = await this._request(requestOptions, caller);
+
+            checkResponseError(response, caller);
+
+            const next = getNextPage(response.headers);
+
+            if (!next) {
+                return response.body;
+            }
+
+            if (pageCount >= maxPages) {
+                if (!truncate) {
+                    throw new GitlabError(`${caller}: ${options.url} has more than ${maxPages} pages`, { caller });
+                }
+
+                logger.warn(`${caller}: stopped after ${maxPages} pages of ${options.url}`);
+
+                return response.body;
+            }
+
+            const nextOptions = { ...requestOptions, query: { ...requestOptions.query, page: next.page } };
+
+            if (next.url) {
+                // The link already carries every query parameter
+                nextOptions.url = next.url;
+                delete nextOptions.query;
+            }
+
+            return response.body.concat(await getPages(nextOptions, pageCount + 1));
         };
+
+        return getPages({ ...options, query: { ...options.query, per_page: pageSize } }, 1);
     }
 
     /**
@@ -231,28 +1136,21 @@ class GitlabScm extends Scm {
      * @param  {Object}     config.scmUri       Data about repo
      * @param  {String}     config.token        The SCM URI to find the webhook from
      * @param  {String}     config.url          url for webhook notifications
+     * @param  {String}     [config.scmContext] The scm context name
      * @return {Promise}                        Resolves a list of hooks
      */
-    async _findWebhook({ scmUri, token, url }) {
+    async _findWebhook({ scmUri, token, url, scmContext }) {
         const { repoId } = getScmUriParts(scmUri);
+        const { apiUrl } = this._getHost({ scmContext, scmUri });
 
-        return this.breaker
-            .runCommand({
-                json: true,
+        return this._getAllPages(
+            {
                 method: 'GET',
-                auth: {
-                    bearer: token
-                },
-                url: `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4/projects/${repoId}/hooks`
-            })
-            .then(response => {
-                checkResponseError(response, '_findWebhook');
-
-                const hooks = response.body;
-                const result = hooks.find(hook => hook.url === url);
-
-                return result;
-            });
+                token,
+                url: `${apiUrl}/projects/${repoId}/hooks`
+            },
+            '_findWebhook'
+        ).then(hooks => hooks.find(hook => hook.url === url));
     }
 
     /**
@@ -264,18 +1162,26 @@ class GitlabScm extends Scm {
      * @param  {String}     config.token        admin token for repo
      * @param  {String}     config.url          url for webhook notifications
      * @param  {String}     config.actions      Actions for the webhook events
+     * @param  {String}     [config.scmContext] The scm context name
      * @return {Promise}                        resolves when complete
      */
-    async _createWebhook({ hookInfo, scmUri, token, url, actions }) {
+    async _createWebhook({ hookInfo, scmUri, token, url, actions, scmContext }) {
         const { repoId } = getScmUriParts(scmUri);
+        const { apiUrl } = this._getHost({ scmContext, scmUri });
         const params = {
             url,
             push_events: actions.length === 0 ? true : actions.includes('push_events'),
-            merge_requests_events: actions.length === 0 ? true : actions.includes('merge_requests_events')
+            merge_requests_events: actions.length === 0 ? true : actions.includes('merge_requests_events'),
+            tag_push_events: actions.length === 0 ? true : actions.includes('tag_push_events')
         };
+
+        // Sent on updates too, so rotating the secret is applied to existing webhooks
+        if (this.config.webhookSecret) {
+            params.token = this.config.webhookSecret;
+        }
         const action = {
             method: 'POST',
-            url: `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4/projects/${repoId}/hooks`
+            url: `${apiUrl}/projects/${repoId}/hooks`
         };
 
         if (hookInfo) {
@@ -283,25 +1189,55 @@ class GitlabScm extends Scm {
             action.url += `/${hookInfo.id}`;
         }
 
-        return this.breaker
-            .runCommand({
-                json: true,
+        return this._request(
+            {
                 method: action.method,
-                auth: {
-                    bearer: token
-                },
+                token,
                 url: action.url,
-                qs: params
-            })
-            .then(response => {
-                checkResponseError(response, '_createWebhook');
-            });
+                body: params
+            },
+            '_createWebhook'
+        ).then(response => {
+            checkResponseError(response, '_createWebhook');
+        });
+    }
+
+    /**
+     * Delete a webhook from a repo
+     * @async _deleteWebhook
+     * @param  {Object}     config
+     * @param  {Object}     config.hookInfo     Information about the existing webhook
+     * @param  {Object}     config.scmUri       Information about the repo
+     * @param  {String}     config.token        admin token for repo
+     * @param  {String}     [config.scmContext] The scm context name
+     * @return {Promise}                        resolves when complete
+     */
+    async _deleteWebhook({ hookInfo, scmUri, token, scmContext }) {
+        const { repoId } = getScmUriParts(scmUri);
+        const { apiUrl } = this._getHost({ scmContext, scmUri });
+
+        return this._request(
+            {
+                method: 'DELETE',
+                token,
+                url: `${apiUrl}/projects/${repoId}/hooks/${hookInfo.id}`
+            },
+            '_deleteWebhook'
+        ).then(response => {
+            // Already removed, e.g. by a concurrent request or a repo admin
+            if (response.statusCode === 404) {
+                return;
+            }
+
+            checkResponseError(response, '_deleteWebhook');
+        });
     }
 
     /** Extended from screwdriver-scm-base */
 
     /**
-     * Adds the Screwdriver webhook to the Gitlab repository
+     * Adds the Screwdriver webhook to the Gitlab repository.
+     * Resolves to 'skipped: read-only' without adding it in read-only mode.
      * @async _addWebhook
      * @param  {Object}    config            Config object
      * @param  {String}    config.scmUri     The SCM URI to add the webhook to
@@ -311,22 +1247,200 @@ class GitlabScm extends Scm {
      * @param  {String}    config.actions    Actions for the webhook events
      * @return {Promise}                     Resolve means operation completed without failure.
      */
-    async _addWebhook({ scmUri, token, webhookUrl, actions }) {
+    async _addWebhook({ scmUri, token, webhookUrl, actions, scmContext }) {
+        if (this._getReadOnlyInfo({ scmContext, scmUri }).enabled) {
+            return skipReadOnly('_addWebhook');
+        }
+
         return this._findWebhook({
             scmUri,
             url: webhookUrl,
-            token
+            token,
+            scmContext
         }).then(hookInfo =>
             this._createWebhook({
                 hookInfo,
                 scmUri,
                 token,
                 url: webhookUrl,
-                actions
+                actions,
+                scmContext
             })
         );
     }
 
+    /**
+     * Removes the Screwdriver webhook from the Gitlab repository
+     * @method removeWebhook
+     * @param  {Object}    config            Config object
+     * @param  {String}    config.scmUri     The SCM URI to remove the webhook from
+     * @param  {String}    config.scmContext The scm context to which user belongs
+     * @param  {String}    config.token      Service token to authenticate with Gitlab
+     * @param  {String}    config.webhookUrl The URL used for the webhook notifications
+     * @return {Promise}                     Resolve means operation completed without failure.
+     */
+    removeWebhook(config) {
+        return this._removeWebhook(this.getConfig(config));
+    }
+
+    /**
+     * Removes the Screwdriver webhook from the Gitlab repository.
+     * Resolves without error if the webhook or the repository no longer exists,
+     * and to 'skipped: read-only' without removing it in read-only mode.
+     * @async _removeWebhook
+     * @param  {Object}    config            Config object
+     * @param  {String}    config.scmUri     The SCM URI to remove the webhook from
+     * @param  {String}    config.token      Service token to authenticate with Gitlab
+     * @param  {String}    config.webhookUrl The URL used for the webhook notifications
+     * @param  {String}    [config.scmContext] The scm context name
+     * @return {Promise}                     Resolve means operation completed without failure.
+     */
+    async _removeWebhook({ scmUri, token, webhookUrl, scmContext }) {
+        if (this._getReadOnlyInfo({ scmContext, scmUri }).enabled) {
+            return skipReadOnly('_removeWebhook');
+        }
+
+        let hookInfo;
+
+        try {
+            hookInfo = await this._findWebhook({
+                scmUri,
+                url: webhookUrl,
+                token,
+                scmContext
+            });
+        } catch (err) {
+            if (err.status === 404) {
+                return null;
+            }
+
+            throw err;
+        }
+
+        if (!hookInfo) {
+            return null;
+        }
+
+        return this._deleteWebhook({ hookInfo, scmUri, token, scmContext });
+    }
+
+    /**
+     * Generate a deploy key pair, add its public key to the Gitlab project and return its private key.
+     * Every pipeline of the project gets its own key, titled after the branch and root dir it checks out.
+     * Gitlab cannot change the key of an existing deploy key, so the key this pipeline had before is
+     * removed once the new one is added.
+     * Resolves to 'skipped: read-only' without adding it in read-only mode.
+     * @async _addDeployKey
+     * @param  {Object}    config               Config object
+     * @param  {String}    config.checkoutUrl   The checkoutUrl of the pipeline
+     * @param  {String}    config.token         Token with maintainer access to the repo
+     * @param  {String}    [config.scmContext]  The scm context name
+     * @return {Promise}                        Resolves to the private key, or to 'skipped: read-only'
+     */
+    async _addDeployKey({ checkoutUrl, token, scmContext }) {
+        const { owner, reponame, branch, rootDir, host } = this._parseCheckoutUrl(checkoutUrl, null, scmContext);
+
+        if (this._getReadOnlyInfo({ scmContext: host.scmContext }).enabled) {
+            return skipReadOnly('_addDeployKey');
+        }
+
+        const deployKeysUrl = `${host.apiUrl}/projects/${encodeRepoPath(owner, reponame)}/deploy_keys`;
+        const title = getDeployKeyTitle(branch, rootDir);
+
+        try {
+            const deployKeys = await this._getAllPages(
+                {
+                    method: 'GET',
+                    token,
+                    url: deployKeysUrl
+                },
+                '_addDeployKey: deployKeyLookup'
+            );
+            const { pubKey, key } = await generateDeployKey(this.config.email);
+            const response = await this._request(
+                {
+                    method: 'POST',
+                    token,
+                    url: deployKeysUrl,
+                    body: {
+                        title,
+                        key: pubKey,
+                        can_push: this.config.deployKeyCanPush
+                    }
+                },
+                '_addDeployKey: createDeployKey'
+            );
+
+            checkResponseError(response, '_addDeployKey: createDeployKey');
+
+            const oldKeys = deployKeys.filter(deployKey => deployKey.title === title);
+
+            await Promise.all(oldKeys.map(oldKey => this._deleteDeployKey({ deployKeysUrl, id: oldKey.id, token })));
+
+            return key;
+        } catch (err) {
+            logger.error('Failed to add deploy key: ', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Remove a deploy key replaced by a new one. The new key is already in place, so a failure
+     * leaves a stale key on the project and is only logged
+     * @async _deleteDeployKey
+     * @param  {Object}    config                  Config object
+     * @param  {String}    config.deployKeysUrl    Deploy keys url of the project
+     * @param  {Number}    config.id               Id of the deploy key
+     * @param  {String}    config.token            Token with maintainer access to the repo
+     * @return {Promise}
+     */
+    async _deleteDeployKey({ deployKeysUrl, id, token }) {
+        try {
+            const response = await this._request(
+                {
+                    method: 'DELETE',
+                    token,
+                    url: `${deployKeysUrl}/${id}`
+                },
+                '_addDeployKey: deleteDeployKey'
+            );
+
+            if (response.statusCode !== 404) {
+                checkResponseError(response, '_addDeployKey: deleteDeployKey');
+            }
+        } catch (err) {
+            logger.warn(`Failed to remove the replaced deploy key ${id}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Get the read-only mode of this Gitlab instance and the credentials used in it
+     * @method getReadOnlyInfo
+     * @param  {Object}    [config]                 Configuration
+     * @param  {String}    [config.scmContext]      The scm context name
+     * @return {Object}                             Read-only info, same as _getReadOnlyInfo
+     */
+    getReadOnlyInfo(config) {
+        return this._getReadOnlyInfo(config);
+    }
+
+    /**
+     * Get the read-only mode of a Gitlab instance and the credentials used in it.
+     * When enabled, writes to Gitlab (webhooks, deploy keys, commit statuses, comments and merge requests) are skipped.
+     * @method _getReadOnlyInfo
+     * @param  {Object}    [config]                 Configuration
+     * @param  {String}    [config.scmContext]      The scm context name
+     * @param  {String}    [config.scmUri]          SCM URI of the repo
+     * @param  {String}    [config.hostname]        Hostname of the repo
+     * @return {Object}                             Read-only info with enabled, username, accessToken and cloneType
+     */
+    _getReadOnlyInfo({ scmContext, scmUri, hostname } = {}) {
+        const { readOnly } = this._getHost({ scmContext, scmUri, hostname });
+        const { enabled = false, username, accessToken, cloneType = 'https' } = readOnly;
+
+        return { enabled, username, accessToken, cloneType };
+    }
+
     /**
      * Parses a SCM URL into a screwdriver-representable ID
      * @async _parseUrl
@@ -337,37 +1451,34 @@ class GitlabScm extends Scm {
      * @param  {String}     config.scmContext   The scm context to which user belongs
      * @return {Promise}                        Resolves to an ID of 'serviceName:repoId:branchName:rootDir'
      */
-    async _parseUrl({ checkoutUrl, rootDir, token }) {
-        const { hostname, owner, reponame, branch, rootDir: sourceDir } = getRepoInfoByCheckoutUrl(
+    async _parseUrl({ checkoutUrl, rootDir, token, scmContext }) {
+        const { hostname, owner, reponame, branch, rootDir: sourceDir } = this._parseCheckoutUrl(
             checkoutUrl,
-            rootDir
+            rootDir,
+            scmContext
         );
-        const myHost = this.config.gitlabHost || 'gitlab.com';
+        const { gitlabHost, apiUrl } = this._getHost({ scmContext });
 
-        if (hostname !== myHost) {
+        if (hostname !== gitlabHost) {
             const message = 'This checkoutUrl is not supported for your current login host.';
 
             throw new Error(message);
         }
 
-        return this.breaker
-            .runCommand({
-                json: true,
+        return this._request(
+            {
                 method: 'GET',
-                auth: {
-                    bearer: token
-                },
-                url:
-                    `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4` +
-                    `/projects/${owner}%2F${reponame}`
-            })
-            .then(response => {
-                checkResponseError(response, '_parseUrl');
+                token,
+                url: `${apiUrl}/projects/${encodeRepoPath(owner, reponame)}`
+            },
+            '_parseUrl'
+        ).then(response => {
+            checkResponseError(response, '_parseUrl');
 
-                const scmUri = `${hostname}:${response.body.id}:${branch || response.body.default_branch}`;
+            const scmUri = `${hostname}:${response.body.id}:${branch || response.body.default_branch}`;
 
-                return sourceDir ? `${scmUri}:${sourceDir}` : scmUri;
-            });
+            return sourceDir ? `${scmUri}:${sourceDir}` : scmUri;
+        });
     }
 
     /**
@@ -379,11 +1490,31 @@ class GitlabScm extends Scm {
      * @param  {Object}  webhookPayload  The webhook payload received from the
      *                                   SCM service.
      * @return {Promise}                 A key-map of data related to the received
-     *                                   payload
+     *                                   payload, or null for payloads from a host
+     *                                   missing from several configured hosts
      */
     async _parseHook(payloadHeaders, webhookPayload) {
-        const scmContexts = this._getScmContexts();
-        const scmContext = scmContexts[0];
+        if (!isValidWebhookToken(payloadHeaders, this.config.webhookSecret)) {
+            throw new UnauthorizedError('Invalid x-gitlab-token header', { status: 401, caller: '_parseHook' });
+        }
+
+        const webUrl = Hoek.reach(webhookPayload, 'project.web_url');
+        let { scmContext } = this.defaultHost;
+
+        // With several Gitlab instances, payloads from one that is not configured are ignored
+        // instead of being taken for the default one
+        if (webUrl && this.hosts.size > 1) {
+            const hostname = new URL(webUrl).host;
+
+            scmContext = getScmContext(hostname);
+
+            if (!this.hosts.has(scmContext)) {
+                logger.info(`Ignoring webhook from ${hostname}, which is not a configured Gitlab host`);
+
+                return null;
+            }
+        }
+
         const hookId = ''; // hookId is not in header or payload
         const checkoutUrl = Hoek.reach(webhookPayload, 'project.git_ssh_url');
         const commitAuthors = [];
@@ -393,22 +1524,24 @@ class GitlabScm extends Scm {
         switch (type) {
             case 'merge_request': {
                 const mergeRequest = Hoek.reach(webhookPayload, 'object_attributes');
-                let action = Hoek.reach(mergeRequest, 'state');
+                const mergeRequestAction = Hoek.reach(mergeRequest, 'action');
+                const action = PR_ACTION_MAP[mergeRequestAction];
                 const prNum = Hoek.reach(mergeRequest, 'iid');
                 const prTitle = Hoek.reach(mergeRequest, 'title');
                 const baseSource = Hoek.reach(mergeRequest, 'target_project_id');
                 const headSource = Hoek.reach(mergeRequest, 'source_project_id');
                 const prSource = baseSource === headSource ? 'branch' : 'fork';
-                const ref = `pull/${prNum}/merge`;
+                const ref = `refs/merge-requests/${prNum}/head`;
 
                 // Possible actions
-                // "opened", "closed", "locked", "merged"
-                if (!['opened', 'closed', 'merged'].includes(action)) {
+                // "open", "close", "reopen", "update", "approved", "unapproved", "approval", "unapproval", "merge"
+                if (!action) {
                     return null;
                 }
 
-                if (action === 'merged') {
-                    action = 'closed';
+                // Only updates pushing new commits carry an oldrev; title, label or assignee changes are ignored
+                if (mergeRequestAction === 'update' && !Hoek.reach(mergeRequest, 'oldrev')) {
+                    return null;
                 }
 
                 return {
@@ -417,7 +1550,7 @@ class GitlabScm extends Scm {
                     checkoutUrl,
                     prNum,
                     prTitle,
-                    prRef: `merge_requests/${prNum}`,
+                    prRef: ref,
                     ref,
                     prSource,
                     sha: Hoek.reach(mergeRequest, 'last_commit.id'),
@@ -450,6 +1583,26 @@ class GitlabScm extends Scm {
                     ref: Hoek.reach(webhookPayload, 'ref')
                 };
             }
+            case 'tag_push': {
+                const sha = Hoek.reach(webhookPayload, 'checkout_sha');
+
+                // Deleting a tag sends a tag_push event without a checkout sha
+                if (!sha) {
+                    return null;
+                }
+
+                return {
+                    action: 'tag',
+                    branch: Hoek.reach(webhookPayload, 'project.default_branch'),
+                    checkoutUrl,
+                    sha,
+                    type: 'repo',
+                    username: Hoek.reach(webhookPayload, 'user_username'),
+                    hookId,
+                    scmContext,
+                    ref: Hoek.reach(webhookPayload, 'ref').replace(TAG_REF_PREFIX, '')
+                };
+            }
             default:
                 logger.info('%s event is not available yet in scm-gitlab plugin', type);
 
@@ -457,6 +1610,32 @@ class GitlabScm extends Scm {
         }
     }
 
+    /**
+     * Gives the commands needed for setup before the build starts.
+     *
+     * scm-base splits the repo name into exactly two segments, which drops the project name of
+     * repos living in subgroups (e.g. group/subgroup/repo). The namespaces are escaped before
+     * and decoded again in _getCheckoutCommand
+     * @method getSetupCommand
+     * @param  {Object}         o           Information about the environment for setup
+     * @param  {PipelineModel}  o.pipeline  Pipeline model for the build
+     * @param  {Object}         o.job       Job configuration for the build
+     * @param  {Object}         o.build     Build configuration for the build (before creation)
+     * @return {Promise}
+     */
+    getSetupCommand(o) {
+        const escapeRepo = pipeline => ({
+            ...pipeline,
+            scmRepo: { ...pipeline.scmRepo, name: escapeRepoNamespace(pipeline.scmRepo.name) }
+        });
+
+        return super.getSetupCommand({
+            ...o,
+            pipeline: escapeRepo(o.pipeline),
+            configPipeline: o.configPipeline ? escapeRepo(o.configPipeline) : undefined
+        });
+    }
+
     /**
      * Checkout the source code from a repository; resolves as an object with checkout commands
      * @async getCheckoutCommand
@@ -466,29 +1645,34 @@ class GitlabScm extends Scm {
      * @param  {String}    config.org               Scm org name
      * @param  {Object}    [config.parentConfig]    Config for parent pipeline
      * @param  {String}    [config.prRef]           PR reference (can be a PR branch or reference)
+     * @param  {String}    [config.prSource]        Where the PR comes from: 'branch' or 'fork'
+     * @param  {String}    [config.prBranchName]    Source branch of the PR
      * @param  {String}    config.repo              Scm repo name
      * @param  {String}    [config.rootDir]         Root directory
      * @param  {String}    config.sha               Commit sha
-     * @param  {String}    [config.commitBranch] Commit branch
+     * @param  {String}    [config.commitBranch] Commit branch; a tag ref (refs/tags/<name>) checks out that tag
      * @return {Promise}
      */
     async _getCheckoutCommand({
         branch: pipelineBranch,
         commitBranch,
         host,
-        org,
+        org: escapedOrg,
         prRef: configPrRef,
         repo,
         rootDir,
         sha,
         parentConfig,
-        prSource,
-        prBranchName
+        prBranchName,
+        scmContext
     }) {
-        // TODO: this needs to be fixed to support private / internal repos.
-        const checkoutUrl = `${host}/${org}/${repo}`; // URL for https
+        const { pathPrefix } = this._getHost({ scmContext, hostname: host });
+        const org = decodeURIComponent(escapedOrg);
+        const checkoutUrl = `${host}${pathPrefix}/${org}/${repo}`; // URL for https
         const sshCheckoutUrl = `git@${host}:${org}/${repo}`; // URL for ssh
         const branch = commitBranch || pipelineBranch; // use commit branch
+        const tagName = branch.startsWith(TAG_REF_PREFIX) ? branch.slice(TAG_REF_PREFIX.length) : null;
+        const cloneBranch = tagName || branch; // git clone --branch also accepts tag names
         const checkoutRef = configPrRef ? branch : sha; // if PR, use pipeline branch
         const command = [];
 
@@ -500,29 +1684,34 @@ class GitlabScm extends Scm {
 
         // Export environment variables
         command.push('echo Exporting environment variables');
+        // Deploy keys only work over ssh
+        command.push('if [ ! -z $SD_SCM_DEPLOY_KEY ]; then export SCM_CLONE_TYPE=ssh; fi');
 
-        if (Hoek.reach(this.config, 'readOnly.enabled')) {
-            if (Hoek.reach(this.config, 'readOnly.cloneType') === 'ssh') {
+        const readOnly = this._getReadOnlyInfo({ scmContext, hostname: host });
+
+        if (readOnly.enabled) {
+            if (readOnly.cloneType === 'ssh') {
                 command.push(`export SCM_URL=${sshCheckoutUrl}`);
             } else {
-                command.push(
-                    'if [ ! -z $SCM_USERNAME ] && [ ! -z $SCM_ACCESS_TOKEN ]; ' +
-                        `then export SCM_URL=https://$SCM_USERNAME:$SCM_ACCESS_TOKEN@${checkoutUrl}; ` +
-                        `else export SCM_URL=https://${checkoutUrl}; fi`
-                );
+                command.push(`export SCM_URL=https://${checkoutUrl}`);
             }
         } else {
             command.push(
                 'if [ ! -z $SCM_CLONE_TYPE ] && [ $SCM_CLONE_TYPE = ssh ]; ' +
                     `then export SCM_URL=${sshCheckoutUrl}; ` +
-                    'elif [ ! -z $SCM_USERNAME ] && [ ! -z $SCM_ACCESS_TOKEN ]; ' +
-                    `then export SCM_URL=https://$SCM_USERNAME:$SCM_ACCESS_TOKEN@${checkoutUrl}; ` +
                     `else export SCM_URL=https://${checkoutUrl}; fi`
             );
         }
         command.push('export GIT_URL=$SCM_URL.git');
         // git 1.7.1 doesn't support --no-edit with merge, this should do same thing
         command.push('export GIT_MERGE_AUTOEDIT=no');
+        // Clone with the deploy key added by addDeployKey
+        command.push(
+            'if [ ! -z $SD_SCM_DEPLOY_KEY ] && [ "$SCM_CLONE_TYPE" = ssh ]; ' +
+                'then echo $SD_SCM_DEPLOY_KEY | base64 -d > /tmp/git_key && echo "" >> /tmp/git_key && ' +
+                'chmod 600 /tmp/git_key && ' +
+                'export GIT_SSH_COMMAND="ssh -i /tmp/git_key -o StrictHostKeyChecking=no"; fi'
+        );
 
         // Set config
         command.push('echo Setting user name and user email');
@@ -534,7 +1723,9 @@ class GitlabScm extends Scm {
         // eslint-disable-next-line max-len
         command.push('if [ ! -z $SD_CHECKOUT_DIR ]; then export SD_CHECKOUT_DIR_FINAL=$SD_CHECKOUT_DIR; fi');
 
-        const shallowCloneCmd =
+        // Credentials for https clones stay out of the remote URLs
+        const credentialOption = getCredentialOption(host);
+        const shallowCloneCmd = gitOptions =>
             'else if [ ! -z "$GIT_SHALLOW_CLONE_SINCE" ]; ' +
             'then export GIT_SHALLOW_CLONE_DEPTH_OPTION=' +
             '"--shallow-since=\'$GIT_SHALLOW_CLONE_SINCE\'"; ' +
@@ -545,21 +1736,22 @@ class GitlabScm extends Scm {
             'if [ "$GIT_SHALLOW_CLONE_SINGLE_BRANCH" = true ]; ' +
             'then export GIT_SHALLOW_CLONE_BRANCH=""; fi; ' +
             '$SD_GIT_WRAPPER ' +
-            '"git clone $GIT_SHALLOW_CLONE_DEPTH_OPTION $GIT_SHALLOW_CLONE_BRANCH ';
+            `"git ${gitOptions} clone $GIT_SHALLOW_CLONE_DEPTH_OPTION $GIT_SHALLOW_CLONE_BRANCH `;
 
         // Checkout config pipeline if this is a child pipeline
         if (parentConfig) {
-            const parentCheckoutUrl = `${parentConfig.host}/${parentConfig.org}/${parentConfig.repo}`; // URL for https
-            const parentSshCheckoutUrl = `git@${parentConfig.host}:${parentConfig.org}/${parentConfig.repo}`; // URL for ssh
+            const parentHost = this.hosts.get(getScmContext(parentConfig.host));
+            const parentPathPrefix = parentHost ? parentHost.pathPrefix : '';
+            const parentPath = `${decodeURIComponent(parentConfig.org)}/${parentConfig.repo}`;
+            const parentCheckoutUrl = `${parentConfig.host}${parentPathPrefix}/${parentPath}`; // URL for https
+            const parentSshCheckoutUrl = `git@${parentConfig.host}:${parentPath}`; // URL for ssh
             const parentBranch = parentConfig.branch;
+            const parentCredentialOption = getCredentialOption(parentConfig.host);
             const externalConfigDir = '$SD_ROOT_DIR/config';
 
             command.push(
                 'if [ ! -z $SCM_CLONE_TYPE ] && [ $SCM_CLONE_TYPE = ssh ]; ' +
                     `then export CONFIG_URL=${parentSshCheckoutUrl}; ` +
-                    'elif [ ! -z $SCM_USERNAME ] && [ ! -z $SCM_ACCESS_TOKEN ]; ' +
-                    'then export CONFIG_URL=https://$SCM_USERNAME:$SCM_ACCESS_TOKEN@' +
-                    `${parentCheckoutUrl}; ` +
                     `else export CONFIG_URL=https://${parentCheckoutUrl}; fi`
             );
             command.push(`export SD_CONFIG_DIR=${externalConfigDir}`);
@@ -569,8 +1761,8 @@ class GitlabScm extends Scm {
             command.push(
                 `${'if [ ! -z $GIT_SHALLOW_CLONE ] && [ $GIT_SHALLOW_CLONE = false ]; ' +
                     'then $SD_GIT_WRAPPER ' +
-                    `"git clone --recursive --quiet --progress --branch ${parentBranch} ` +
-                    '$CONFIG_URL $SD_CONFIG_DIR"; '}${shallowCloneCmd}` +
+                    `"git ${parentCredentialOption} clone --recursive --quiet --progress --branch ${parentBranch} ` +
+                    '$CONFIG_URL $SD_CONFIG_DIR"; '}${shallowCloneCmd(parentCredentialOption)}` +
                     `--recursive --quiet --progress --branch ${parentBranch} ` +
                     '$CONFIG_URL $SD_CONFIG_DIR"; fi'
             );
@@ -580,13 +1772,13 @@ class GitlabScm extends Scm {
         }
 
         // Git clone
-        command.push(`echo 'Cloning ${checkoutUrl}, on branch ${branch}'`);
+        command.push(`echo 'Cloning ${checkoutUrl}, on ${tagName ? 'tag' : 'branch'} ${cloneBranch}'`);
         command.push(
             `${'if [ ! -z $GIT_SHALLOW_CLONE ] && [ $GIT_SHALLOW_CLONE = false ]; ' +
                 'then $SD_GIT_WRAPPER ' +
-                `"git clone --recursive --quiet --progress --branch '${branch}' ` +
-                '$SCM_URL $SD_CHECKOUT_DIR_FINAL"; '}${shallowCloneCmd}` +
-                `--recursive --quiet --progress --branch '${branch}' ` +
+                `"git ${credentialOption} clone --recursive --quiet --progress --branch '${cloneBranch}' ` +
+                '$SCM_URL $SD_CHECKOUT_DIR_FINAL"; '}${shallowCloneCmd(credentialOption)}` +
+                `--recursive --quiet --progress --branch '${cloneBranch}' ` +
                 '$SCM_URL $SD_CHECKOUT_DIR_FINAL"; fi'
         );
         // Reset to SHA
@@ -600,28 +1792,16 @@ class GitlabScm extends Scm {
 
         // For pull requests
         if (configPrRef) {
-            const LOCAL_BRANCH_NAME = 'pr';
-            const prRef = configPrRef.replace('merge', `head:${LOCAL_BRANCH_NAME}`);
-            const baseRepo = prSource === 'fork' ? 'upstream' : 'origin';
-
-            // Fetch a pull request
-            command.push(`echo 'Fetching PR ${prRef}'`);
-            command.push(`$SD_GIT_WRAPPER "git fetch origin ${prRef}"`);
-
-            command.push(`export PR_BASE_BRANCH_NAME='${branch}'`);
-            command.push(`export PR_BRANCH_NAME='${baseRepo}/${prBranchName}'`);
-
-            command.push(`echo 'Checking out the PR branch ${prBranchName}'`);
-            command.push(`$SD_GIT_WRAPPER "git checkout ${LOCAL_BRANCH_NAME}"`);
-            command.push(`$SD_GIT_WRAPPER "git merge ${branch}"`);
-            command.push(`export GIT_BRANCH=origin/refs/${prRef}`);
+            command.push(...getPrCheckoutCommands({ branch, prRef: configPrRef, prBranchName, credentialOption }));
+        } else if (tagName) {
+            command.push(`export GIT_BRANCH='${branch}'`);
         } else {
             command.push(`export GIT_BRANCH='origin/${branch}'`);
         }
 
         // Init & Update submodule
         command.push('$SD_GIT_WRAPPER "git submodule init"');
-        command.push('$SD_GIT_WRAPPER "git submodule update --recursive"');
+        command.push(`$SD_GIT_WRAPPER "git ${credentialOption} submodule update --recursive"`);
 
         return Promise.resolve({
             name: 'sd-checkout-code',
@@ -640,17 +1820,19 @@ class GitlabScm extends Scm {
      * @param  {String}    config.scmContext The scm context to which user belongs
      * @return {Promise}
      */
-    async _decorateUrl({ scmUri, token }) {
+    async _decorateUrl({ scmUri, token, scmContext }) {
         const { hostname, owner, reponame, branch, rootDir } = await this.lookupScmUri({
             scmUri,
-            token
+            token,
+            scmContext
         });
-        const baseUrl = `${hostname}/${owner}/${reponame}/-/tree/${branch}`;
+        const { gitlabProtocol, pathPrefix } = this._getHost({ scmContext, hostname });
+        const baseUrl = `${hostname}${pathPrefix}/${owner}/${reponame}/-/tree/${branch}`;
 
         return {
             branch,
             name: `${owner}/${reponame}`,
-            url: `${this.config.gitlabProtocol}://${rootDir ? Path.join(baseUrl, rootDir) : baseUrl}`,
+            url: `${gitlabProtocol}://${rootDir ? Path.join(baseUrl, rootDir) : baseUrl}`,
             rootDir: rootDir || ''
         };
     }
@@ -665,39 +1847,34 @@ class GitlabScm extends Scm {
      * @param  {Object}        config.scmContext Context to which user belongs
      * @return {Promise}
      */
-    async _decorateCommit({ scmUri, sha, token }) {
+    async _decorateCommit({ scmUri, sha, token, scmContext }) {
         const { owner, reponame } = await this.lookupScmUri({
             scmUri,
-            token
+            token,
+            scmContext
         });
+        const { apiUrl } = this._getHost({ scmContext, scmUri });
 
-        // There's no username provided, so skipping decorateAuthor
-        const commit = await this.breaker.runCommand({
-            json: true,
-            method: 'GET',
-            auth: {
-                bearer: token
+        const commit = await this._request(
+            {
+                method: 'GET',
+                token,
+                url: `${apiUrl}/projects/${encodeRepoPath(owner, reponame)}/repository/commits/${sha}`
             },
-            url:
-                `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4` +
-                `/projects/${owner}%2F${reponame}` +
-                `/repository/commits/${sha}`
-        });
+            '_decorateCommit: commitLookup'
+        );
 
         checkResponseError(commit, '_decorateCommit: commitLookup');
 
-        const authorName = Hoek.reach(commit, 'body.author_name');
-        const committerName = Hoek.reach(commit, 'body.committer_name');
-        const author = { ...DEFAULT_AUTHOR };
-        const committer = { ...DEFAULT_AUTHOR };
-
-        if (authorName) {
-            author.name = authorName;
-        }
-
-        if (committerName) {
-            committer.name = committerName;
-        }
+        const authorEmail = Hoek.reach(commit, 'body.author_email');
+        const committerEmail = Hoek.reach(commit, 'body.committer_email');
+        const authorUser = await this._getUserByEmail({ token, email: authorEmail, scmUri, scmContext });
+        const committerUser =
+            committerEmail === authorEmail
+                ? authorUser
+                : await this._getUserByEmail({ token, email: committerEmail, scmUri, scmContext });
+        const author = decorateCommitUser(authorUser, Hoek.reach(commit, 'body.author_name'));
+        const committer = decorateCommitUser(committerUser, Hoek.reach(commit, 'body.committer_name'));
 
         return {
             author,
@@ -707,50 +1884,139 @@ class GitlabScm extends Scm {
         };
     }
 
+    /**
+     * Find the Gitlab user with an email, e.g. the author of a commit.
+     * The search also matches names and parts of emails, so only a user whose email or public email
+     * is the given one is accepted. Searches with a non-admin token return users without their emails,
+     * so those are confirmed with the public email of their profile.
+     * Users that cannot be found or looked up with the token resolve to null.
+     * Results are cached per token, host and email
+     * @async _getUserByEmail
+     * @param  {Object}        config              Configuration object
+     * @param  {String}        config.token        Service token to authenticate with Gitlab
+     * @param  {String}        [config.email]      Email to look up
+     * @param  {String}        [config.scmUri]     SCM URI of the repo the email comes from
+     * @param  {String}        [config.scmContext] The scm context name
+     * @return {Promise}                           Resolves to the Gitlab user or null
+     */
+    async _getUserByEmail({ token, email, scmUri, scmContext }) {
+        if (!email) {
+            return null;
+        }
+
+        const host = this._getHost({ scmContext, scmUri });
+        const normalizedEmail = email.toLowerCase();
+        const hasEmail = user =>
+            [user.email, user.public_email].some(value => value && value.toLowerCase() === normalizedEmail);
+
+        try {
+            const response = await this._cachedRequest(
+                {
+                    method: 'GET',
+                    token,
+                    url: `${host.apiUrl}/users`,
+                    query: {
+                        search: email
+                    }
+                },
+                '_getUserByEmail',
+                { resource: `email:${host.gitlabHost}:${normalizedEmail}`, ttl: this.config.cache.ttl }
+            );
+
+            checkResponseError(response, '_getUserByEmail');
+
+            const candidates = (response.body || []).slice(0, EMAIL_CANDIDATES_LIMIT);
+            const users = await Promise.all(
+                candidates.map(user =>
+                    user.email === undefined && user.public_email === undefined
+                        ? this._getUserById({ token, host, id: user.id })
+                        : user
+                )
+            );
+
+            return users.find(hasEmail) || null;
+        } catch (err) {
+            logger.warn(`Failed to look up the Gitlab user of ${email}: ${err.message}`);
+
+            return null;
+        }
+    }
+
+    /**
+     * Get the profile of a Gitlab user, which has the public email of the user.
+     * Results are cached per token, host and user id
+     * @async _getUserById
+     * @param  {Object}        config              Configuration object
+     * @param  {String}        config.token        Service token to authenticate with Gitlab
+     * @param  {Object}        config.host         Host state of the Gitlab instance, see _createHost
+     * @param  {Number}        config.id           Id of the user
+     * @return {Promise}                           Resolves to the Gitlab user
+     */
+    async _getUserById({ token, host, id }) {
+        const response = await this._cachedRequest(
+            {
+                method: 'GET',
+                token,
+                url: `${host.apiUrl}/users/${id}`
+            },
+            '_getUserById',
+            { resource: `userId:${host.gitlabHost}:${id}`, ttl: this.config.cache.ttl }
+        );
+
+        checkResponseError(response, '_getUserById');
+
+        return response.body;
+    }
+
     /**
      * Decorate the author based on the Gitlab service
      * @async _decorateAuthor
      * @param  {Object}        config            Configuration object
      * @param  {Object}        config.token      Service token to authenticate with Gitlab
      * @param  {Object}        config.username   Username to query more information for
+     * @param  {String}        [config.scmContext] The scm context name
      * @return {Promise}
      */
-    async _decorateAuthor({ token, username }) {
-        return this.breaker
-            .runCommand({
-                json: true,
-                method: 'GET',
-                auth: {
-                    bearer: token
-                },
-                url: `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4/users`,
-                qs: {
-                    username
-                }
-            })
-            .then(response => {
-                checkResponseError(response, '_decorateAuthor');
-
-                const author = Hoek.reach(response, 'body.0', {
-                    default: {
-                        web_url: DEFAULT_AUTHOR.url,
-                        name: DEFAULT_AUTHOR.name,
-                        username: DEFAULT_AUTHOR.username,
-                        avatar_url: DEFAULT_AUTHOR.avatar
-                    }
-                });
+    async _decorateAuthor({ token, username, scmContext }) {
+        const { apiUrl } = this._getHost({ scmContext });
 
-                return {
-                    url: author.web_url,
-                    name: author.name,
-                    username: author.username,
-                    avatar: author.avatar_url
-                };
+        return this._cachedRequest(
+            {
+                method: 'GET',
+                token,
+                url: `${apiUrl}/users`,
+                query: {
+                    username
+                }
+            },
+            '_decorateAuthor',
+            { resource: `user:${username}`, ttl: this.config.cache.ttl }
+        ).then(response => {
+            checkResponseError(response, '_decorateAuthor');
+
+            const author = Hoek.reach(response, 'body.0', {
+                default: {
+                    web_url: DEFAULT_AUTHOR.url,
+                    name: DEFAULT_AUTHOR.name,
+                    username: DEFAULT_AUTHOR.username,
+                    avatar_url: DEFAULT_AUTHOR.avatar
+                }
             });
+
+            return {
+                url: author.web_url,
+                name: author.name,
+                username: author.username,
+                avatar: author.avatar_url
+            };
+        });
     }
 
     /**
      * Get a owners permissions on a repository
+     *
+     * The effective access level is the highest of the user's project membership, group membership
+     * and membership in groups the project is shared with (capped at the access granted to that group)
      * @async _getPermissions
      * @param  {Object}   config            Configuration
      * @param  {String}   config.scmUri     The scmUri to get permissions on
@@ -758,67 +2024,138 @@ class GitlabScm extends Scm {
      * @param  {String}   config.scmContext The scm context to which user belongs
      * @return {Promise}
      */
-    async _getPermissions({ scmUri, token }) {
+    async _getPermissions({ scmUri, token, scmContext }) {
         const { repoId } = getScmUriParts(scmUri);
+        const { apiUrl } = this._getHost({ scmContext, scmUri });
+        // Short-lived, so revoking access takes effect quickly
+        const response = await this._cachedRequest(
+            {
+                method: 'GET',
+                token,
+                url: `${apiUrl}/projects/${repoId}`
+            },
+            '_getPermissions',
+            { resource: `permissions:${repoId}`, ttl: this.config.cache.permissionsTtl }
+        );
+
+        checkResponseError(response, '_getPermissions');
+
+        const { permissions } = response.body;
+        const sharedGroups = Hoek.reach(response.body, 'shared_with_groups', { default: [] });
+        let accessLevel = Math.max(
+            Hoek.reach(permissions, 'project_access.access_level', { default: 0 }),
+            Hoek.reach(permissions, 'group_access.access_level', { default: 0 })
+        );
+        // Shared groups can only raise the access level up to what the project grants them
+        const candidateGroups = sharedGroups.filter(group => group.group_access_level > accessLevel);
+
+        if (candidateGroups.length > 0) {
+            accessLevel = Math.max(accessLevel, await this._getSharedGroupAccessLevel(candidateGroups, token, apiUrl));
+        }
+
+        return getPermissionsByAccessLevel(accessLevel);
+    }
 
-        return this.breaker
-            .runCommand({
-                json: true,
+    /**
+     * Get the highest access level the authenticated user has through groups a project is shared with
+     * @async _getSharedGroupAccessLevel
+     * @param  {Array}    sharedGroups      The shared_with_groups entries of the project
+     * @param  {String}   token             The token used to authenticate to the SCM
+     * @param  {String}   apiUrl            API url of the Gitlab instance
+     * @return {Promise}                    Resolves to the access level, 0 if the user is in none of the groups
+     */
+    async _getSharedGroupAccessLevel(sharedGroups, token, apiUrl) {
+        const user = await this._request(
+            {
                 method: 'GET',
-                auth: {
-                    bearer: token
-                },
-                url: `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4/projects/${repoId}`
-            })
-            .then(response => {
-                checkResponseError(response, '_getPermissions');
+                token,
+                url: `${apiUrl}/user`
+            },
+            '_getPermissions: userLookup'
+        );
 
-                const result = {
-                    admin: false,
-                    push: false,
-                    pull: false
-                };
-                const { permissions } = response.body;
-                const accessLevel = Hoek.reach(permissions, 'project_access.access_level', {
-                    default: 0
-                });
-
-                // ref: https://docs.gitlab.com/ee/api/members.html
-                // ref: https://docs.gitlab.com/ee/user/permissions.html
-                switch (accessLevel) {
-                    case 50: // Owner
-                    // falls through
-                    case 40: // Master
-                        result.admin = true;
-                    // falls through
-                    case 30: // Developer
-                        result.push = true;
-                    // falls through
-                    case 20: // reporter
-                        result.pull = true;
-                    // falls through
-                    case 10: // Guest
-                    // falls through
-                    default:
-                        break;
+        checkResponseError(user, '_getPermissions: userLookup');
+
+        const accessLevels = await Promise.all(
+            sharedGroups.map(async group => {
+                const member = await this._request(
+                    {
+                        method: 'GET',
+                        token,
+                        url: `${apiUrl}/groups/${group.group_id}/members/all/${user.body.id}`
+                    },
+                    '_getPermissions: sharedGroupLookup'
+                );
+
+                // Not a member of this group
+                if (member.statusCode === 404) {
+                    return 0;
                 }
 
-                return result;
-            });
+                checkResponseError(member, '_getPermissions: sharedGroupLookup');
+
+                if (member.body.state !== 'active') {
+                    return 0;
+                }
+
+                return Math.min(member.body.access_level, group.group_access_level);
+            })
+        );
+
+        return Math.max(...accessLevels);
     }
 
     /**
      * Get a users permissions on an organization; need for build clusters
+     *
+     * The organization is a GitLab group or subgroup (e.g. group/subgroup). Members inherited from
+     * parent groups are included, and Owners and Maintainers are treated as admins.
      * @async _getOrgPermissions
      * @param  {Object}   config                  Configuration
      * @param  {String}   config.organization     The organization to get permissions on
      * @param  {String}   config.username         The user to check against
      * @param  {String}   config.token            The token used to authenticate to the SCM
      * @param  {String}   [config.scmContext]     The scm context name
-     * @return {Promise}
+     * @return {Promise}                          Resolves to an object with admin and member flags
      */
-    async _getOrgPermissions() {
-        return Promise.reject(new Error('Not implemented'));
+    async _getOrgPermissions({ organization, username, token, scmContext }) {
+        const { apiUrl } = this._getHost({ scmContext });
+        const result = {
+            admin: false,
+            member: false
+        };
+
+        try {
+            const members = await this._getAllPages(
+                {
+                    method: 'GET',
+                    token,
+                    url: `${apiUrl}/groups/${encodeURIComponent(organization)}/members/all`,
+                    query: {
+                        query: username
+                    }
+                },
+                '_getOrgPermissions'
+            );
+
+            // query also matches on names, so look for the exact username
+            const member = members.find(m => m.username === username);
+
+            if (!member || member.state !== 'active') {
+                return result;
+            }
+
+            if (member.access_level >= ACCESS_LEVEL.MAINTAINER) {
+                result.admin = true;
+            } else if (member.access_level >= ACCESS_LEVEL.GUEST) {
+                result.member = true;
+            }
+
+            return result;
+        } catch (err) {
+            logger.error('Failed to getOrgPermissions: ', err);
+            throw err;
+        }
     }
 
     /**
@@ -830,26 +2167,22 @@ class GitlabScm extends Scm {
      * @param  {String}   config.token      The token used to authenticate to the SCM
      * @return {Promise}
      */
-    async _getCommitSha({ scmUri, token }) {
+    async _getCommitSha({ scmUri, token, scmContext }) {
         const { repoId, branch } = getScmUriParts(scmUri);
+        const { apiUrl } = this._getHost({ scmContext, scmUri });
 
-        return this.breaker
-            .runCommand({
-                json: true,
+        return this._request(
+            {
                 method: 'GET',
-                auth: {
-                    bearer: token
-                },
-                url:
-                    `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4` +
-                    `/projects/${repoId}/repository` +
-                    `/branches/${branch}`
-            })
-            .then(response => {
-                checkResponseError(response, '_getCommitSha');
+                token,
+                url: `${apiUrl}/projects/${repoId}/repository/branches/${branch}`
+            },
+            '_getCommitSha'
+        ).then(response => {
+            checkResponseError(response, '_getCommitSha');
 
-                return response.body.commit.id;
-            });
+            return response.body.commit.id;
+        });
     }
 
     /**
@@ -857,24 +2190,25 @@ class GitlabScm extends Scm {
      * @async  prComments
      * @param  {Object}   repoId            The repo ID
      * @param  {Integer}  prNum             The PR number used to fetch the PR
+     * @param  {String}   [scmContext]      The scm context name
      * @return {Promise}                    Resolves to object containing the list of comments of this PR
      */
-    async prComments(repoId, prNum) {
+    async prComments(repoId, prNum, scmContext) {
+        const { apiUrl, commentUserToken } = this._getHost({ scmContext });
         let prComments;
 
         try {
-            prComments = await this.breaker.runCommand({
-                json: true,
-                method: 'GET',
-                auth: {
-                    bearer: this.config.commentUserToken
+            prComments = await this._getAllPages(
+                {
+                    method: 'GET',
+                    token: commentUserToken,
+                    url: `${apiUrl}/projects/${repoId}/merge_requests/${prNum}/notes`
                 },
-                url:
-                    `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4` +
-                    `/projects/${repoId}/merge_requests/${prNum}/notes`
-            });
+                'prComments',
+                { truncate: true }
+            );
 
-            return { comments: prComments.body };
+            return { comments: prComments };
         } catch (err) {
             logger.warn(`Failed to fetch PR comments for repo ${repoId}, PR ${prNum}: `, err);
 
@@ -889,23 +2223,24 @@ class GitlabScm extends Scm {
      * @param  {Object}   repoId            The information regarding SCM like repo, owner
      * @param  {Integer}  prNum             The PR number used to fetch the PR
      * @param  {String}   comment           The new comment body
+     * @param  {String}   [scmContext]      The scm context name
      * @return {Promise}                    Resolves to object containing PR comment info
      */
-    async editPrComment(commentId, repoId, prNum, comment) {
+    async editPrComment(commentId, repoId, prNum, comment, scmContext) {
+        const { apiUrl, commentUserToken } = this._getHost({ scmContext });
+
         try {
-            const pullRequestComment = await this.breaker.runCommand({
-                json: true,
-                method: 'PUT',
-                auth: {
-                    bearer: this.config.commentUserToken // need to use a token with public_repo permissions
+            const pullRequestComment = await this._request(
+                {
+                    method: 'PUT',
+                    token: commentUserToken, // need to use a token with public_repo permissions
+                    url: `${apiUrl}/projects/${repoId}/merge_requests/${prNum}/notes/${commentId}`,
+                    query: {
+                        body: comment
+                    }
                 },
-                url:
-                    `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4` +
-                    `/projects/${repoId}/merge_requests/${prNum}/notes/${commentId}`,
-                qs: {
-                    body: comment
-                }
-            });
+                'editPrComment'
+            );
 
             return pullRequestComment;
         } catch (err) {
@@ -922,12 +2257,17 @@ class GitlabScm extends Scm {
      * @param  {String}   config.comment    The PR comment
      * @param  {Integer}  config.prNum      The PR number
      * @param  {String}   config.scmUri     The scmUri to get commit sha of
-     * @return {Promise}
+     * @param  {String}   [config.scmContext] The scm context name
+     * @return {Promise}                Resolves to 'skipped: read-only' in read-only mode
      */
-    async _addPrComment({ comment, prNum, scmUri }) {
-        const { repoId } = getScmUriParts(scmUri);
+    async _addPrComment({ comment, prNum, scmUri, scmContext }) {
+        if (this._getReadOnlyInfo({ scmContext, scmUri }).enabled) {
+            return skipReadOnly('_addPrComment');
+        }
 
-        const prComments = await this.prComments(repoId, prNum);
+        const { repoId } = getScmUriParts(scmUri);
+        const host = this._getHost({ scmContext, scmUri });
+        const prComments = await this.prComments(repoId, prNum, host.scmContext);
 
         if (prComments) {
             const botComment = prComments.comments.find(
@@ -936,7 +2276,13 @@ class GitlabScm extends Scm {
 
             if (botComment) {
                 try {
-                    const pullRequestComment = await this.editPrComment(botComment.id, repoId, prNum, comment);
+                    const pullRequestComment = await this.editPrComment(
+                        botComment.id,
+                        repoId,
+                        prNum,
+                        comment,
+                        host.scmContext
+                    );
 
                     if (pullRequestComment.statusCode !== 200) {
                         throw pullRequestComment;
@@ -956,19 +2302,17 @@ class GitlabScm extends Scm {
         }
 
         try {
-            const pullRequestComment = await this.breaker.runCommand({
-                json: true,
-                method: 'POST',
-                auth: {
-                    bearer: this.config.commentUserToken
+            const pullRequestComment = await this._request(
+                {
+                    method: 'POST',
+                    token: host.commentUserToken,
+                    url: `${host.apiUrl}/projects/${repoId}/merge_requests/${prNum}/notes`,
+                    query: {
+                        body: comment
+                    }
                 },
-                url:
-                    `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4` +
-                    `/projects/${repoId}/merge_requests/${prNum}/notes`,
-                qs: {
-                    body: comment
-                }
-            });
+                '_addPrComment'
+            );
 
             if (pullRequestComment.statusCode !== 200) {
                 throw pullRequestComment;
@@ -987,18 +2331,60 @@ class GitlabScm extends Scm {
     }
 
     /**
-     * Get a commit sha from a reference; will need this to support tag/release
+     * Get a commit sha from a reference.
+     * Tags are looked up by name with the tags API, which returns the commit an annotated tag points to.
+     * Other refs are resolved with the commits API, which accepts branch names, full ref names
+     * (e.g. refs/merge-requests/1/head) and commit shas.
      * @async  _getCommitRefSha
      * @param  {Object}   config
-     * @param  {String}   config.token     The token used to authenticate to the SCM
-     * @param  {String}   config.owner     The owner of the target repository
-     * @param  {String}   config.repo      The target repository name
-     * @param  {String}   config.ref       The reference which we want
-     * @param  {String}   config.refType   The reference type. ex. branch is 'heads', tag is 'tags'.
-     * @return {Promise}                   Resolves to the commit sha
+     * @param  {String}   config.token        The token used to authenticate to the SCM
+     * @param  {String}   config.owner        The owner of the target repository
+     * @param  {String}   config.repo         The target repository name
+     * @param  {String}   config.ref          The reference which we want
+     * @param  {String}   config.refType      The reference type. ex. branch is 'heads', tag is 'tags'.
+     * @param  {String}   [config.scmContext] The scm context name
+     * @return {Promise}                      Resolves to the commit sha, rejects with a NotFoundError for unknown refs
      */
-    async _getCommitRefSha() {
-        return Promise.reject(new Error('Not implemented'));
+    async _getCommitRefSha({ token, owner, repo, ref, refType, scmContext }) {
+        const { apiUrl } = this._getHost({ scmContext });
+        const repoUrl = `${apiUrl}/projects/${encodeRepoPath(owner, repo)}/repository`;
+        const isTag = refType === 'tags';
+        const fullRef = ref.startsWith('refs/') ? ref : `refs/${refType}/${ref}`;
+        // The tags API takes a tag name, so a full ref such as refs/tags/v1 is trimmed to v1
+        const tagName = fullRef.startsWith(TAG_REF_PREFIX) ? fullRef.slice(TAG_REF_PREFIX.length) : fullRef;
+        const caller = isTag ? '_getCommitRefSha: tagLookup' : '_getCommitRefSha: commitLookup';
+
+        try {
+            const response = await this._request(
+                {
+                    method: 'GET',
+                    token,
+                    url: isTag
+                        ? `${repoUrl}/tags/${encodeURIComponent(tagName)}`
+                        : `${repoUrl}/commits/${encodeURIComponent(fullRef)}`
+                },
+                caller
+            );
+
+            if (response.statusCode === 404) {
+                throw new NotFoundError(
+                    `Cannot find ${isTag ? `tag ${tagName}` : `ref ${fullRef}`} in ${owner}/${repo}`,
+                    {
+                        status: 404,
+                        caller,
+                        payload: response.body,
+                        requestId: Hoek.reach(response, ['headers', 'x-request-id'])
+                    }
+                );
+            }
+
+            checkResponseError(response, caller);
+
+            return isTag ? response.body.commit.id : response.body.id;
+        } catch (err) {
+            logger.error('Failed to getCommitRefSha: ', err);
+            throw err;
+        }
     }
 
     /**
@@ -1014,34 +2400,47 @@ class GitlabScm extends Scm {
      * @param  {Number}   config.pipelineId   Pipeline Id
      * @param  {String}   config.context      Status context
      * @param  {String}   config.description  Status description
-     * @return {Promise}
+     * @param  {String}   [config.scmContext] The scm context name
+     * @return {Promise}                Resolves to 'skipped: read-only' in read-only mode
      */
-    async _updateCommitStatus({ scmUri, jobName, token, sha, buildStatus, url, pipelineId, context, description }) {
+    async _updateCommitStatus({
+        scmUri,
+        jobName,
+        token,
+        sha,
+        buildStatus,
+        url,
+        pipelineId,
+        context,
+        description,
+        scmContext
+    }) {
+        if (this._getReadOnlyInfo({ scmContext, scmUri }).enabled) {
+            return skipReadOnly('_updateCommitStatus');
+        }
+
         const repoInfo = getScmUriParts(scmUri);
+        const { apiUrl } = this._getHost({ scmContext, scmUri });
         const statusTitle = context
             ? `Screwdriver/${pipelineId}/${context}`
             : `Screwdriver/${pipelineId}/${jobName.replace(/^PR-\d+/g, 'PR')}`; // (e.g. Screwdriver/12/PR:main)
 
-        return this.breaker
-            .runCommand({
-                json: true,
+        return this._request(
+            {
                 method: 'POST',
-                auth: {
-                    bearer: token
-                },
-                url:
-                    `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4` +
-                    `/projects/${repoInfo.repoId}/statuses/${sha}`,
-                qs: {
+                token,
+                url: `${apiUrl}/projects/${repoInfo.repoId}/statuses/${sha}`,
+                query: {
                     context: statusTitle,
                     description: description || DESCRIPTION_MAP[buildStatus],
                     state: STATE_MAP[buildStatus] || 'failed',
                     target_url: url
                 }
-            })
-            .then(response => {
-                checkResponseError(response, '_updateCommitStatus');
-            });
+            },
+            '_updateCommitStatus'
+        ).then(response => {
+            checkResponseError(response, '_updateCommitStatus');
+        });
     }
 
     /**
@@ -1055,59 +2454,46 @@ class GitlabScm extends Scm {
      * @param  {String}   config.scmContext   The scm context to which user belongs
      * @return {Promise}
      */
-    async _getFile({ scmUri, path, token, ref }) {
+    async _getFile({ scmUri, path, token, ref, scmContext }) {
         const { repoId, branch, rootDir } = getScmUriParts(scmUri);
+        const { apiUrl } = this._getHost({ scmContext, scmUri });
         const fullPath = rootDir ? Path.join(rootDir, path) : path;
 
-        return this.breaker
-            .runCommand({
-                json: true,
+        return this._request(
+            {
                 method: 'GET',
-                auth: {
-                    bearer: token
-                },
-                url:
-                    `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4` +
-                    `/projects/${repoId}/repository/files/${encodeURIComponent(fullPath)}`,
-                qs: {
+                token,
+                url: `${apiUrl}/projects/${repoId}/repository/files/${encodeURIComponent(fullPath)}`,
+                query: {
                     ref: ref || branch
                 }
-            })
-            .then(response => {
-                checkResponseError(response, '_getFile');
+            },
+            '_getFile'
+        ).then(response => {
+            checkResponseError(response, '_getFile');
 
-                return Buffer.from(response.body.content, response.body.encoding).toString();
-            });
+            return Buffer.from(response.body.content, response.body.encoding).toString();
+        });
     }
 
     /**
-     * Get the changed files from a Github event
+     * Get the changed files from a Gitlab event.
+     *
+     * For a push, see _getPushFiles. For a merge request, see _getMergeRequestFiles
      * @async  _getChangedFiles
      * @param  {Object}   config
-     * @param  {String}   config.type      Can be 'pr' or 'repo'
-     * @param  {Object}   [config.payload] The webhook payload received from the SCM service.
-     * @param  {String}   config.token     Service token to authenticate with Github
-     * @param  {String}   [config.scmUri]  The scmUri to get PR info of
-     * @param  {Integer}  [config.prNum]   The PR number
-     * @return {Promise}                   Resolves to an array of filenames of the changed files
+     * @param  {String}   config.type               Can be 'pr' or 'repo'
+     * @param  {Object}   [config.webhookConfig]    The webhook payload received from the SCM service.
+     * @param  {String}   config.token              Service token to authenticate with Gitlab
+     * @param  {String}   [config.scmUri]           The scmUri to get PR info of
+     * @param  {Integer}  [config.prNum]            The PR number
+     * @param  {String}   [config.scmContext]       The scm context name
+     * @return {Promise}                            Resolves to an array of filenames of the changed files
      */
-    async _getChangedFiles({ type, payload, token, scmUri, prNum }) {
+    async _getChangedFiles({ type, webhookConfig, token, scmUri, prNum, scmContext }) {
         if (type === 'pr') {
             try {
-                const { repoId } = getScmUriParts(scmUri);
-
-                const files = await this.breaker.runCommand({
-                    json: true,
-                    method: 'GET',
-                    auth: {
-                        bearer: token
-                    },
-                    url:
-                        `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4` +
-                        `/projects/${repoId}/merge_requests/${prNum}/changes`
-                });
-
-                return files.body.changes.map(file => file.new_path);
+                return await this._getMergeRequestFiles({ token, scmUri, prNum, scmContext });
             } catch (err) {
                 logger.error('Failed to getChangedFiles: ', err);
 
@@ -1116,18 +2502,163 @@ class GitlabScm extends Scm {
         }
 
         if (type === 'repo') {
-            const options = { default: [] };
-            const added = Hoek.reach(payload, ['commits', 0, 'added'], options);
-            const modified = Hoek.reach(payload, ['commits', 0, 'modified'], options);
-            const removed = Hoek.reach(payload, ['commits', 0, 'removed'], options);
-
-            // Adding the arrays together and pruning duplicates
-            return [...new Set([...added, ...modified, ...removed])];
+            return this._getPushFiles({ webhookConfig, token, scmUri, scmContext });
         }
 
         return [];
     }
 
+    /**
+     * Get the files changed by a push.
+     *
+     * Files of every commit in the payload are merged. Gitlab only sends the first 20 commits and does
+     * not flag force pushes, so when the payload is truncated or the before sha is not an ancestor of
+     * the after sha, the files are diffed with the compare API between the two shas instead.
+     * Falls back to the files of the payload when Gitlab cannot be asked
+     * @async  _getPushFiles
+     * @param  {Object}   config
+     * @param  {Object}   config.webhookConfig      The push payload
+     * @param  {String}   config.token              Service token to authenticate with Gitlab
+     * @param  {String}   [config.scmUri]           The scmUri of the repository
+     * @param  {String}   [config.scmContext]       The scm context name
+     * @return {Promise}                            Resolves to an array of filenames of the changed files
+     */
+    async _getPushFiles({ webhookConfig, token, scmUri, scmContext }) {
+        const commits = Hoek.reach(webhookConfig, 'commits', { default: [] }) || [];
+        const files = getPushedFiles(commits);
+        const before = Hoek.reach(webhookConfig, 'before');
+        const after = Hoek.reach(webhookConfig, 'after');
+        const totalCommits = Hoek.reach(webhookConfig, 'total_commits_count', { default: commits.length });
+        const truncated = commits.length >= PUSH_COMMITS_LIMIT && totalCommits > commits.length;
+
+        // Created or deleted branches have nothing to compare with
+        if (!before || !after || before === after || [before, after].includes(ZERO_SHA)) {
+            return files;
+        }
+
+        try {
+            const projectId = Hoek.reach(webhookConfig, 'project_id') || Hoek.reach(webhookConfig, 'project.id');
+            const webUrl = Hoek.reach(webhookConfig, 'project.web_url');
+            const { apiUrl } = this._getHost({
+                scmContext,
+                scmUri,
+                hostname: webUrl ? new URL(webUrl).host : null
+            });
+            const forced = !(await this._isAncestor({
+                apiUrl,
+                projectId,
+                ancestor: before,
+                descendant: after,
+                token
+            }));
+
+            if (!truncated && !forced) {
+                return files;
+            }
+
+            return await this._getComparedFiles({ apiUrl, projectId, from: before, to: after, token });
+        } catch (err) {
+            logger.error('Failed to compare pushed commits, using the files of the payload: ', err);
+
+            return files;
+        }
+    }
+
+    /**
+     * Get the files changed by a merge request from the paginated diffs API.
+     * Falls back to comparing the base and head shas when Gitlab reports the diff as overflowed
+     * @async  _getMergeRequestFiles
+     * @param  {Object}   config
+     * @param  {String}   config.token          Service token to authenticate with Gitlab
+     * @param  {String}   config.scmUri         The scmUri of the repository
+     * @param  {Integer}  config.prNum          The PR number
+     * @param  {String}   [config.scmContext]   The scm context name
+     * @return {Promise}                        Resolves to the old and new paths of every changed file
+     */
+    async _getMergeRequestFiles({ token, scmUri, prNum, scmContext }) {
+        const { repoId } = getScmUriParts(scmUri);
+        const { apiUrl } = this._getHost({ scmContext, scmUri });
+        const mergeRequestUrl = `${apiUrl}/projects/${repoId}/merge_requests/${prNum}`;
+        const mergeRequest = await this._request(
+            { method: 'GET', token, url: mergeRequestUrl },
+            '_getMergeRequestFiles: mergeRequestLookup'
+        );
+
+        checkResponseError(mergeRequest, '_getMergeRequestFiles: mergeRequestLookup');
+
+        // Gitlab stops listing diffs past its file limit and reports the count as e.g. "1000+"
+        if (String(mergeRequest.body.changes_count).endsWith('+')) {
+            const { base_sha: from, head_sha: to } = mergeRequest.body.diff_refs;
+
+            logger.warn(`_getMergeRequestFiles: diff of merge request ${prNum} in ${repoId} overflowed`);
+
+            return this._getComparedFiles({ apiUrl, projectId: repoId, from, to, token });
+        }
+
+        const diffs = await this._getAllPages(
+            { method: 'GET', token, url: `${mergeRequestUrl}/diffs` },
+            '_getMergeRequestFiles: diffsLookup'
+        );
+
+        return getDiffPaths(diffs);
+    }
+
+    /**
+     * Get the files changed between two commits with the compare API
+     * @async  _getComparedFiles
+     * @param  {Object}   config
+     * @param  {String}   config.apiUrl         API url of the Gitlab host
+     * @param  {String}   config.projectId      Id of the project
+     * @param  {String}   config.from           Sha to compare from
+     * @param  {String}   config.to             Sha to compare to
+     * @param  {String}   config.token          Service token to authenticate with Gitlab
+     * @return {Promise}                        Resolves to the old and new paths of every diff
+     */
+    async _getComparedFiles({ apiUrl, projectId, from, to, token }) {
+        const response = await this._request(
+            {
+                method: 'GET',
+                token,
+                url: `${apiUrl}/projects/${projectId}/repository/compare`,
+                query: { from, to, straight: true }
+            },
+            '_getComparedFiles'
+        );
+
+        checkResponseError(response, '_getComparedFiles');
+
+        return getDiffPaths(response.body.diffs);
+    }
+
+    /**
+     * Check with the compare API if a commit is an ancestor of another one.
+     * Comparing from the descendant to the ancestor lists the commits only the ancestor has, which are none
+     * when it is part of the history of the descendant
+     * @async  _isAncestor
+     * @param  {Object}   config
+     * @param  {String}   config.apiUrl         API url of the Gitlab host
+     * @param  {String}   config.projectId      Id of the project
+     * @param  {String}   config.ancestor       Sha of the possible ancestor
+     * @param  {String}   config.descendant     Sha of the possible descendant
+     * @param  {String}   config.token          Service token to authenticate with Gitlab
+     * @return {Promise}                        Resolves to true when the ancestor is reachable from the descendant
+     */
+    async _isAncestor({ apiUrl, projectId, ancestor, descendant, token }) {
+        const response = await this._request(
+            {
+                method: 'GET',
+                token,
+                url: `${apiUrl}/projects/${projectId}/repository/compare`,
+                query: { from: descendant, to: ancestor }
+            },
+            '_isAncestor'
+        );
+
+        checkResponseError(response, '_isAncestor');
+
+        return response.body.commits.length === 0;
+    }
+
     /**
      * Resolve a pull request object based on the config
      * @async  _getPrInfo
@@ -1136,42 +2667,25 @@ class GitlabScm extends Scm {
      * @param  {String}   config.scmUri     The scmUri to get PR info of
      * @param  {String}   config.token      The token used to authenticate to the SCM
      * @param  {Integer}  config.prNum      The PR number used to fetch the PR
+     * @param  {String}   [config.scmContext] The scm context name
      * @return {Promise}
      */
-    async _getPrInfo({ prNum, scmUri, token }) {
+    async _getPrInfo({ prNum, scmUri, token, scmContext }) {
         const { repoId } = getScmUriParts(scmUri);
+        const { apiUrl } = this._getHost({ scmContext, scmUri });
 
-        return this.breaker
-            .runCommand({
-                json: true,
+        return this._request(
+            {
                 method: 'GET',
-                auth: {
-                    bearer: token
-                },
-                url:
-                    `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4` +
-                    `/projects/${repoId}/merge_requests/${prNum}`
-            })
+                token,
+                url: `${apiUrl}/projects/${repoId}/merge_requests/${prNum}`
+            },
+            '_getPrInfo'
+        )
             .then(pullRequestInfo => {
-                const prSource =
-                    pullRequestInfo.body.source_project_id === pullRequestInfo.body.target_project_id
-                        ? 'branch'
-                        : 'fork';
+                checkResponseError(pullRequestInfo, '_getPrInfo');
 
-                return {
-                    name: `PR-${pullRequestInfo.body.id}`,
-                    ref: `pull/${pullRequestInfo.body.id}/merge`,
-                    sha: pullRequestInfo.body.sha,
-                    prBranchName: pullRequestInfo.body.source_branch,
-                    url: pullRequestInfo.body.web_url,
-                    username: pullRequestInfo.body.author.username,
-                    title: pullRequestInfo.body.title,
-                    createTime: pullRequestInfo.body.created_at,
-                    userProfile: pullRequestInfo.body.author.web_url,
-                    baseBranch: pullRequestInfo.body.source_branch,
-                    mergeable: pullRequestInfo.body.user.can_merge,
-                    prSource
-                };
+                return formatPrInfo(pullRequestInfo.body);
             })
             .catch(err => {
                 logger.error('Failed to getPrInfo: ', err);
@@ -1180,32 +2694,28 @@ class GitlabScm extends Scm {
     }
 
     /**
-     * Return a valid Bell configuration (for OAuth)
+     * Return a valid Bell configuration (for OAuth), one per Gitlab instance
      * @async _getBellConfiguration
      * @return {Promise}
      */
     async _getBellConfiguration() {
-        const scmContexts = this._getScmContexts();
-        const scmContext = scmContexts[0];
-        const cookie = `gitlab-${this.config.gitlabHost}`;
         const bellConfig = {};
 
-        bellConfig[scmContext] = {
-            provider: 'gitlab',
-            cookie,
-            clientId: this.config.oauthClientId,
-            clientSecret: this.config.oauthClientSecret,
-            isSecure: this.config.https,
-            forceHttps: this.config.https
-        };
-
-        if (this.config.gitlabHost) {
-            bellConfig[scmContext].config = {
-                uri: `${this.config.gitlabProtocol}://${this.config.gitlabHost}`
+        this.hosts.forEach(({ scmContext, gitlabHost, webUrl, oauthClientId, oauthClientSecret }) => {
+            bellConfig[scmContext] = {
+                provider: 'gitlab',
+                cookie: `gitlab-${gitlabHost}`,
+                clientId: oauthClientId,
+                clientSecret: oauthClientSecret,
+                isSecure: this.config.https,
+                forceHttps: this.config.https,
+                config: {
+                    uri: webUrl
+                }
             };
-        }
+        });
 
-        return Promise.resolve(bellConfig);
+        return bellConfig;
     }
 
     /**
@@ -1214,55 +2724,55 @@ class GitlabScm extends Scm {
      * @param  {Object}   config              Configuration
      * @param  {String}   config.scmUri       The scmUri to get opened PRs
      * @param  {String}   config.token        The token used to authenticate to the SCM
-     * @return {Promise}
+     * @param  {String}   [config.scmContext] The scm context name
+     * @return {Promise}                      Resolves to every opened PR. Rejects when they span more than
+     *                                        maxPages pages, since sync would take the missing ones for closed
      */
-    async _getOpenedPRs({ scmUri, token }) {
+    async _getOpenedPRs({ scmUri, token, scmContext }) {
         const repoInfo = getScmUriParts(scmUri);
+        const { apiUrl } = this._getHost({ scmContext, scmUri });
 
-        return this.breaker
-            .runCommand({
+        return this._getAllPages(
+            {
                 method: 'GET',
-                json: true,
-                auth: {
-                    bearer: token
-                },
-                qs: {
+                token,
+                query: {
                     state: 'opened'
                 },
-                url:
-                    `${this.config.gitlabProtocol}://${this.config.gitlabHost}/api/v4` +
-                    `/projects/${repoInfo.repoId}/merge_requests`
-            })
-            .then(response => {
-                checkResponseError(response, '_getOpenedPRs');
-
-                const prList = response.body;
-
-                return prList.map(pr => ({
-                    name: `PR-${pr.iid}`,
-                    ref: `merge_requests/${pr.iid}`,
-                    username: pr.author.username,
-                    title: pr.title,
-                    createTime: pr.created_at,
-                    url: pr.web_url,
-                    userProfile: pr.author.web_url
-                }));
-            });
+                url: `${apiUrl}/projects/${repoInfo.repoId}/merge_requests`
+            },
+            '_getOpenedPRs'
+        ).then(prList =>
+            prList.map(pr => ({
+                name: `PR-${pr.iid}`,
+                ref: `refs/merge-requests/${pr.iid}/head`,
+                username: pr.author.username,
+                title: pr.title,
+                createTime: pr.created_at,
+                url: pr.web_url,
+                userProfile: pr.author.web_url
+            }))
+        );
     }
 
     /**
-     * Retrieve stats for the executor
+     * Retrieve stats for the executor, keyed by the scm context of every Gitlab instance.
+     * Each one has the circuit breaker stats, the rate limit state and the operation metrics of the instance
      * @method stats
      * @param  {Response} Object          Object containing stats for the executor
      */
     stats() {
-        const stats = this.breaker.stats();
-        const scmContexts = this._getScmContexts();
-        const scmContext = scmContexts[0];
+        const stats = {};
 
-        return {
-            [scmContext]: stats
-        };
+        this.hosts.forEach(({ scmContext, breaker, rateLimit, metrics }) => {
+            stats[scmContext] = {
+                ...breaker.stats(),
+                rateLimit: { ...rateLimit },
+                operations: metrics.stats()
+            };
+        });
+
+        return stats;
     }
 
     /**
@@ -1271,7 +2781,7 @@ class GitlabScm extends Scm {
      * @return {Array}
      */
     _getScmContexts() {
-        return this.config.gitlabHost ? [`gitlab:${this.config.gitlabHost}`] : ['gitlab:gitlab.com'];
+        return [...this.hosts.keys()];
     }
 
     /**
@@ -1288,6 +2798,12 @@ class GitlabScm extends Scm {
             return Promise.resolve(false);
         }
 
+        if (!isValidWebhookToken(headers, this.config.webhookSecret)) {
+            logger.warn('Rejecting webhook with an invalid x-gitlab-token header');
+
+            return false;
+        }
+
         try {
             const result = await this._parseHook(headers, payload);
 
@@ -1300,8 +2816,49 @@ class GitlabScm extends Scm {
     }
 
     /**
-     * Gitlab doesn't have an equivalent endpoint to open pull request,
-     * so returning null for now
+     * Get every branch of the repository
+     * @async  _getBranchList
+     * @param  {Object}     config
+     * @param  {String}     config.scmUri       The SCM URI to get the branch list of
+     * @param  {String}     config.token        Service token to authenticate with Gitlab
+     * @param  {String}     [config.scmContext] The scm context name
+     * @return {Promise}                        Resolves to a list of branches with name, sha (of the head commit)
+     *                                          and the protected, default and merged flags. Rejects when the
+     *                                          branches span more than maxPages pages
+     */
+    async _getBranchList({ scmUri, token, scmContext }) {
+        const { repoId } = getScmUriParts(scmUri);
+        const { apiUrl } = this._getHost({ scmContext, scmUri });
+
+        try {
+            const branches = await this._getAllPages(
+                {
+                    method: 'GET',
+                    token,
+                    url: `${apiUrl}/projects/${repoId}/repository/branches`
+                },
+                '_getBranchList'
+            );
+
+            return branches.map(branch => ({
+                name: branch.name,
+                sha: Hoek.reach(branch, 'commit.id'),
+                protected: Boolean(branch.protected),
+                default: Boolean(branch.default),
+                merged: Boolean(branch.merged)
+            }));
+        } catch (err) {
+            logger.error('Failed to getBranchList: ', err);
+            throw err;
+        }
+    }
+
+    /**
+     * Open a merge request on the repository with given file change
+     *
+     * The files are committed in a single commit to a branch named after the title, created from
+     * the branch in the checkoutUrl (or the default branch). An existing branch or open merge request
+     * with that name is reused rather than failing. Nothing is written in read-only mode.
      * @async _openPr
      * @param  {Object}     config                  Configuration
      * @param  {String}     config.checkoutUrl      Checkout url to the repo
@@ -1310,11 +2867,143 @@ class GitlabScm extends Scm {
      * @param  {String}     config.title            Pull request title
      * @param  {String}     config.message          Pull request message
      * @param  {String}     [config.scmContext]     The scm context name
-     * @return {Promise}                            Resolves when operation completed without failure
+     * @return {Promise}                            Resolves to the merge request info, same as _getPrInfo,
+     *                                              or to 'skipped: read-only'
      */
-    async _openPr() {
-        return Promise.resolve(null);
+    async _openPr({ checkoutUrl, token, files, title, message, scmContext }) {
+        const { owner, reponame, branch, host } = this._parseCheckoutUrl(checkoutUrl, null, scmContext);
+
+        if (this._getReadOnlyInfo({ scmContext: host.scmContext }).enabled) {
+            return skipReadOnly('_openPr');
+        }
+
+        const { apiUrl } = host;
+        const newBranch = title.replace(/ /g, '_');
+
+        try {
+            const project = await this._request(
+                {
+                    method: 'GET',
+                    token,
+                    url: `${apiUrl}/projects/${encodeRepoPath(owner, reponame)}`
+                },
+                '_openPr: projectLookup'
+            );
+
+            checkResponseError(project, '_openPr: projectLookup');
+
+            const projectUrl = `${apiUrl}/projects/${project.body.id}`;
+            const baseBranch = branch || project.body.default_branch;
+            const existingBranch = await this._request(
+                {
+                    method: 'GET',
+                    token,
+                    url: `${projectUrl}/repository/branches/${encodeURIComponent(newBranch)}`
+                },
+                '_openPr: branchLookup'
+            );
+
+            const branchExists = existingBranch.statusCode !== 404;
+
+            if (branchExists) {
+                checkResponseError(existingBranch, '_openPr: branchLookup');
+            }
+
+            const actions = await Promise.all(
+                files.map(async file => {
+                    const existingFile = await this._request(
+                        {
+                            method: 'HEAD',
+                            token,
+                            url: `${projectUrl}/repository/files/${encodeURIComponent(file.name)}`,
+                            query: {
+                                ref: branchExists ? newBranch : baseBranch
+                            }
+                        },
+                        '_openPr: fileLookup'
+                    );
+
+                    // Only a missing file is created; failed lookups must not turn into updates
+                    if (existingFile.statusCode !== 404) {
+                        checkResponseError(existingFile, '_openPr: fileLookup');
+                    }
+
+                    return {
+                        action: existingFile.statusCode === 404 ? 'create' : 'update',
+                        file_path: file.name,
+                        content: Buffer.from(file.content).toString('base64'),
+                        encoding: 'base64'
+                    };
+                })
+            );
+            const commit = {
+                branch: newBranch,
+                commit_message: message,
+                actions
+            };
+
+            // The commits API creates the branch when given a start branch
+            if (!branchExists) {
+                commit.start_branch = baseBranch;
+            }
+
+            const commitResponse = await this._request(
+                {
+                    method: 'POST',
+                    token,
+                    url: `${projectUrl}/repository/commits`,
+                    body: commit
+                },
+                '_openPr: createCommit'
+            );
+
+            checkResponseError(commitResponse, '_openPr: createCommit');
+
+            const openedMergeRequests = await this._request(
+                {
+                    method: 'GET',
+                    token,
+                    url: `${projectUrl}/merge_requests`,
+                    query: {
+                        state: 'opened',
+                        source_branch: newBranch,
+                        target_branch: baseBranch
+                    }
+                },
+                '_openPr: mergeRequestLookup'
+            );
+
+            checkResponseError(openedMergeRequests, '_openPr: mergeRequestLookup');
+
+            // The new commit already updated the existing merge request
+            if (openedMergeRequests.body.length > 0) {
+                return formatPrInfo(openedMergeRequests.body[0]);
+            }
+
+            const mergeRequest = await this._request(
+                {
+                    method: 'POST',
+                    token,
+                    url: `${projectUrl}/merge_requests`,
+                    query: {
+                        source_branch: newBranch,
+                        target_branch: baseBranch,
+                        title,
+                        description: message
+                    }
+                },
+                '_openPr: createMergeRequest'
+            );
+
+            checkResponseError(mergeRequest, '_openPr: createMergeRequest');
+
+            return formatPrInfo(mergeRequest.body);
+        } catch (err) {
+            logger.error('Failed to openPr: ', err);
+            throw err;
+        }
     }
 }
 
 module.exports = GitlabScm;
+module.exports.errors = require('./lib/errors');
@@ -0,0 +1,98 @@
+'use strict';
+
+const Crypto = require('crypto');
+
+/**
+ * Get an identity for a token that is safe to keep in memory
+ * @method getTokenId
+ * @param  {String}  [token]    Token used for the Gitlab API call
+ * @return {String}             Hash of the token, empty for anonymous calls
+ */
+function getTokenId(token) {
+    return token
+        ? Crypto.createHash('sha256')
+              .update(token)
+              .digest('hex')
+        : '';
+}
+
+/**
+ * In-memory cache of Gitlab API responses, keyed by token identity and resource.
+ * Expired entries are kept for revalidation with their ETag until they are evicted.
+ * @class ResponseCache
+ */
+class ResponseCache {
+    /**
+     * Constructor
+     * @method constructor
+     * @param  {Object}  config
+     * @param  {Number}  config.maxEntries  Number of entries kept before the oldest ones are evicted
+     */
+    constructor({ maxEntries }) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    /**
+     * Get the cache key of a resource
+     * @method getKey
+     * @param  {String}  token       Token used for the Gitlab API call
+     * @param  {String}  resource    Resource name, e.g. "project:123"
+     * @return {String}
+     */
+    static getKey(token, resource) {
+        return `${getTokenId(token)}:${resource}`;
+    }
+
+    /**
+     * Get a cached entry
+     * @method get
+     * @param  {String}  token       Token used for the Gitlab API call
+     * @param  {String}  resource    Resource name
+     * @return {Object|undefined}    Entry with response, etag and expiresAt
+     */
+    get(token, resource) {
+        return this.entries.get(ResponseCache.getKey(token, resource));
+    }
+
+    /**
+     * Cache an entry
+     * @method set
+     * @param  {String}  token           Token used for the Gitlab API call
+     * @param  {String}  resource        Resource name
+     * @param  {Object}  entry
+     * @param  {Object}  entry.response  Gitlab API response
+     * @param  {String}  [entry.etag]    ETag of the response
+     * @param  {Number}  entry.expiresAt Time in milliseconds after which the entry has to be revalidated
+     */
+    set(token, resource, entry) {
+        const key = ResponseCache.getKey(token, resource);
+
+        // Re-inserting keeps the Map ordered from least to most recently written
+        this.entries.delete(key);
+        this.entries.set(key, { ...entry, resource });
+
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Remove cached entries
+     * @method invalidate
+     * @param  {Object}  [filter]
+     * @param  {String}  [filter.token]      Only remove entries cached for this token
+     * @param  {String}  [filter.resource]   Only remove entries of this resource
+     */
+    invalidate({ token, resource } = {}) {
+        const tokenId = token ? `${getTokenId(token)}:` : '';
+
+        this.entries.forEach((entry, key) => {
+            if ((!tokenId || key.startsWith(tokenId)) && (!resource || entry.resource === resource)) {
+                this.entries.delete(key);
+            }
+        });
+    }
+}
+
+module.exports = ResponseCache;
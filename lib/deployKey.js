@@ -0,0 +1,31 @@
+'use strict';
+
+const Crypto = require('crypto');
+const sshpk = require('sshpk');
+const { promisify } = require('util');
+
+const generateKeyPair = promisify(Crypto.generateKeyPair);
+
+/**
+ * Generate an RSA key pair for a deploy key
+ * @async  generateDeployKey
+ * @param  {String}  comment     Comment of the public key, e.g. the buildbot email
+ * @return {Promise}             Resolves to `{ pubKey, key }`: the OpenSSH public key and the PEM private key
+ */
+async function generateDeployKey(comment) {
+    const { publicKey, privateKey } = await generateKeyPair('rsa', {
+        modulusLength: 4096,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs1', format: 'pem' }
+    });
+    const sshKey = sshpk.parseKey(publicKey, 'pem');
+
+    sshKey.comment = comment;
+
+    return {
+        pubKey: sshKey.toString('ssh'),
+        key: privateKey
+    };
+}
+
+module.exports = { generateDeployKey };
@@ -0,0 +1,8 @@
+'use strict';
+
+const GitlabError = require('./GitlabError');
+
+/** The token lacks the permission or scope for the call (403) */
+class ForbiddenError extends GitlabError {}
+
+module.exports = ForbiddenError;
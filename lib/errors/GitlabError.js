@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Error for a failed Gitlab API call
+ * @class GitlabError
+ */
+class GitlabError extends Error {
+    /**
+     * Constructor
+     * @method constructor
+     * @param  {String}  message                 Error message
+     * @param  {Object}  [options]
+     * @param  {Number}  [options.status]        HTTP status code of the Gitlab response
+     * @param  {String}  [options.caller]        Name of the method that made the call
+     * @param  {Object}  [options.payload]       Error body returned by Gitlab
+     * @param  {String}  [options.requestId]     Gitlab request id from the X-Request-Id header
+     */
+    constructor(message, { status, caller, payload, requestId } = {}) {
+        super(message);
+
+        this.name = this.constructor.name;
+        this.status = status;
+        this.caller = caller;
+        this.payload = payload;
+        this.requestId = requestId;
+    }
+}
+
+module.exports = GitlabError;
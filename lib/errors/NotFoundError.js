@@ -0,0 +1,8 @@
+'use strict';
+
+const GitlabError = require('./GitlabError');
+
+/** The requested resource does not exist, or the token cannot see it (404) */
+class NotFoundError extends GitlabError {}
+
+module.exports = NotFoundError;
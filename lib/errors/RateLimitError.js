@@ -0,0 +1,8 @@
+'use strict';
+
+const GitlabError = require('./GitlabError');
+
+/** Too many calls, even after backing off (429) */
+class RateLimitError extends GitlabError {}
+
+module.exports = RateLimitError;
@@ -0,0 +1,8 @@
+'use strict';
+
+const GitlabError = require('./GitlabError');
+
+/** Gitlab is down or failing (5xx, or no response status at all) */
+class ServerError extends GitlabError {}
+
+module.exports = ServerError;
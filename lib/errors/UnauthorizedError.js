@@ -0,0 +1,8 @@
+'use strict';
+
+const GitlabError = require('./GitlabError');
+
+/** The token is missing, expired or revoked (401) */
+class UnauthorizedError extends GitlabError {}
+
+module.exports = UnauthorizedError;
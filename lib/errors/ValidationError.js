@@ -0,0 +1,8 @@
+'use strict';
+
+const GitlabError = require('./GitlabError');
+
+/** Gitlab rejected the parameters of the call (400, 409, 422) */
+class ValidationError extends GitlabError {}
+
+module.exports = ValidationError;
@@ -0,0 +1,19 @@
+'use strict';
+
+const GitlabError = require('./GitlabError');
+const NotFoundError = require('./NotFoundError');
+const UnauthorizedError = require('./UnauthorizedError');
+const ForbiddenError = require('./ForbiddenError');
+const RateLimitError = require('./RateLimitError');
+const ValidationError = require('./ValidationError');
+const ServerError = require('./ServerError');
+
+module.exports = {
+    GitlabError,
+    NotFoundError,
+    UnauthorizedError,
+    ForbiddenError,
+    RateLimitError,
+    ValidationError,
+    ServerError
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+// Number of most recent latencies kept per operation for the percentiles
+const SAMPLE_SIZE = 1000;
+
+/**
+ * Get the value at a percentile of sorted samples (nearest rank)
+ * @method percentile
+ * @param  {Array}   sorted  Samples sorted in ascending order
+ * @param  {Number}  p       Percentile between 0 and 100
+ * @return {Number}          Value at the percentile, 0 without samples
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return 0;
+    }
+
+    return sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+}
+
+/**
+ * Call counts, status classes and latencies of Gitlab API calls, per logical operation
+ * @class OperationMetrics
+ */
+class OperationMetrics {
+    /**
+     * Constructor
+     * @method constructor
+     */
+    constructor() {
+        this.operations = new Map();
+    }
+
+    /**
+     * Record a Gitlab API call
+     * @method record
+     * @param  {String}  operation            Name of the operation, e.g. "_getFile"
+     * @param  {Object}  result
+     * @param  {Number}  [result.statusCode]  HTTP status code, unset when the call got no response
+     * @param  {Number}  result.duration      Time the call took in milliseconds
+     */
+    record(operation, { statusCode, duration }) {
+        if (!this.operations.has(operation)) {
+            this.operations.set(operation, {
+                count: 0,
+                durationSum: 0,
+                statusClasses: { '2xx': 0, '3xx': 0, '4xx': 0, '5xx': 0, error: 0 },
+                samples: []
+            });
+        }
+
+        const metrics = this.operations.get(operation);
+        const statusClass = statusCode ? `${Math.floor(statusCode / 100)}xx` : 'error';
+
+        metrics.count += 1;
+        metrics.durationSum += duration;
+        metrics.statusClasses[statusClass] = (metrics.statusClasses[statusClass] || 0) + 1;
+        metrics.samples.push(duration);
+
+        if (metrics.samples.length > SAMPLE_SIZE) {
+            metrics.samples.shift();
+        }
+    }
+
+    /**
+     * Get the metrics of every operation.
+     * statusClasses counts calls by response status class, with "error" for calls that got no response.
+     * Latencies are in milliseconds, over the most recent calls.
+     * @method stats
+     * @return {Object}     Metrics keyed by operation name
+     */
+    stats() {
+        const stats = {};
+
+        this.operations.forEach(({ count, durationSum, statusClasses, samples }, operation) => {
+            const sorted = [...samples].sort((a, b) => a - b);
+
+            stats[operation] = {
+                count,
+                durationSum,
+                statusClasses: { ...statusClasses },
+                latency: {
+                    p50: percentile(sorted, 50),
+                    p90: percentile(sorted, 90),
+                    p99: percentile(sorted, 99)
+                }
+            };
+        });
+
+        return stats;
+    }
+}
+
+module.exports = OperationMetrics;
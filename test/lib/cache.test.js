@@ -0,0 +1,56 @@
+'use strict';
+
+const { assert } = require('chai');
+const ResponseCache = require('../../lib/cache');
+
+describe('ResponseCache', () => {
+    let cache;
+
+    beforeEach(() => {
+        cache = new ResponseCache({ maxEntries: 2 });
+    });
+
+    it('keys entries by token and resource', () => {
+        cache.set('token1', 'project:1', { response: 'a', expiresAt: 1 });
+        cache.set('token2', 'project:1', { response: 'b', expiresAt: 1 });
+
+        assert.strictEqual(cache.get('token1', 'project:1').response, 'a');
+        assert.strictEqual(cache.get('token2', 'project:1').response, 'b');
+        assert.isUndefined(cache.get('token1', 'project:2'));
+    });
+
+    it('does not keep tokens in its keys', () => {
+        cache.set('secrettoken', 'project:1', { response: 'a', expiresAt: 1 });
+
+        assert.notInclude([...cache.entries.keys()][0], 'secrettoken');
+    });
+
+    it('evicts the least recently written entry', () => {
+        cache.set('token', 'project:1', { response: 'a', expiresAt: 1 });
+        cache.set('token', 'project:2', { response: 'b', expiresAt: 1 });
+        cache.set('token', 'project:1', { response: 'c', expiresAt: 1 });
+        cache.set('token', 'project:3', { response: 'd', expiresAt: 1 });
+
+        assert.strictEqual(cache.get('token', 'project:1').response, 'c');
+        assert.isUndefined(cache.get('token', 'project:2'));
+        assert.strictEqual(cache.get('token', 'project:3').response, 'd');
+    });
+
+    it('invalidates entries by token and resource', () => {
+        cache = new ResponseCache({ maxEntries: 10 });
+        cache.set('token1', 'project:1', { response: 'a', expiresAt: 1 });
+        cache.set('token1', 'permissions:1', { response: 'b', expiresAt: 1 });
+        cache.set('token2', 'permissions:1', { response: 'c', expiresAt: 1 });
+
+        cache.invalidate({ token: 'token1', resource: 'permissions:1' });
+        assert.isDefined(cache.get('token1', 'project:1'));
+        assert.isUndefined(cache.get('token1', 'permissions:1'));
+        assert.isDefined(cache.get('token2', 'permissions:1'));
+
+        cache.invalidate({ resource: 'permissions:1' });
+        assert.isUndefined(cache.get('token2', 'permissions:1'));
+
+        cache.invalidate();
+        assert.strictEqual(cache.entries.size, 0);
+    });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const { assert } = require('chai');
+const OperationMetrics = require('../../lib/metrics');
+
+describe('OperationMetrics', () => {
+    let metrics;
+
+    beforeEach(() => {
+        metrics = new OperationMetrics();
+    });
+
+    it('returns no operations before any call', () => {
+        assert.deepEqual(metrics.stats(), {});
+    });
+
+    it('counts calls by status class', () => {
+        metrics.record('_getFile', { statusCode: 200, duration: 10 });
+        metrics.record('_getFile', { statusCode: 304, duration: 10 });
+        metrics.record('_getFile', { statusCode: 404, duration: 20 });
+        metrics.record('_getFile', { statusCode: 502, duration: 30 });
+        metrics.record('_getFile', { duration: 40 });
+        metrics.record('_getPermissions', { statusCode: 200, duration: 5 });
+
+        const stats = metrics.stats();
+
+        assert.deepEqual(stats._getFile.statusClasses, {
+            '2xx': 1,
+            '3xx': 1,
+            '4xx': 1,
+            '5xx': 1,
+            error: 1
+        });
+        assert.strictEqual(stats._getFile.count, 5);
+        assert.strictEqual(stats._getFile.durationSum, 110);
+        assert.strictEqual(stats._getPermissions.count, 1);
+        assert.strictEqual(stats._getPermissions.statusClasses['2xx'], 1);
+    });
+
+    it('returns latency percentiles', () => {
+        for (let duration = 100; duration > 0; duration -= 1) {
+            metrics.record('_updateCommitStatus', { statusCode: 201, duration });
+        }
+
+        assert.deepEqual(metrics.stats()._updateCommitStatus.latency, {
+            p50: 50,
+            p90: 90,
+            p99: 99
+        });
+    });
+
+    it('computes percentiles over the most recent calls', () => {
+        for (let i = 0; i < 1000; i += 1) {
+            metrics.record('_getFile', { statusCode: 200, duration: 1000 });
+        }
+        for (let i = 0; i < 1000; i += 1) {
+            metrics.record('_getFile', { statusCode: 200, duration: 1 });
+        }
+
+        const stats = metrics.stats()._getFile;
+
+        assert.strictEqual(stats.count, 2000);
+        assert.deepEqual(stats.latency, { p50: 1, p90: 1, p99: 1 });
+    });
+});